@@ -1,4 +1,4 @@
-import React, { useEffect, useCallback } from 'react'
+import React, { useEffect, useCallback, useRef } from 'react'
 import { motion } from 'framer-motion'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './components/ui/tabs'
 import { Card, CardContent } from './components/ui/card'
@@ -8,30 +8,100 @@ import ManualInputForm from './components/ManualInputForm'
 import BacktestForm from './components/BacktestForm'
 import ResultsDashboard from './components/ResultsDashboard'
 import BacktestSummary from './components/BacktestSummary'
+import ForecastPanel from './components/ForecastPanel'
 import BatteryOptimizer from './utils/BatteryOptimizerClass.js'
-import { loadPolishData, filterDataByDateRange, groupDataByPeriod } from './utils/dataLoaders.js'
+import { loadPolishData, filterDataByDateRange, groupDataByPeriod, bootstrapDayScenarios } from './utils/dataLoaders.js'
+import { createRandom, generateSeed } from './utils/random.js'
+import { runInWorker } from './workers/optimizationClient.js'
 import { Battery, TrendingUp, AlertCircle, CheckCircle, Info } from 'lucide-react'
 import { cn } from './lib/utils'
 
 const optimizer = new BatteryOptimizer()
 
+const parseSeries = (text) => String(text).split(',').map(value => parseFloat(value.trim())).filter(value => !isNaN(value))
+
+// Converts the form's reserve settings (comma-separated price text, an hour-of-day window that may wrap past
+// midnight) into the optimizer's reserve model, or null when reserve is off
+const toReserveParams = ({ enabled, startHour, endHour, capacityPrices, upPrices, downPrices, ...reserve }) => {
+  if (!enabled) return null
+  const inWindow = (hour) => startHour <= endHour ? hour >= startHour && hour < endHour : hour >= startHour || hour < endHour
+  const hours = startHour === 0 && endHour === 24 ? null : Array.from({ length: 24 }, (_, hour) => hour).filter(inWindow)
+  return {
+    ...reserve,
+    capacityPrices: parseSeries(capacityPrices),
+    upPrices: parseSeries(upPrices),
+    downPrices: parseSeries(downPrices),
+    hours
+  }
+}
+
+// Converts the form's behind-the-meter settings (comma-separated load, PV and feed-in text, demand charge in €/kW)
+// into the optimizer's site model, or null in wholesale mode
+const toSiteParams = ({ enabled, load, pv, feedInPrices, allowGridCharging, demandCharge = 0 }) => {
+  if (!enabled) return null
+  return {
+    load: parseSeries(load),
+    pv: parseSeries(pv),
+    feedInPrices: parseSeries(feedInPrices),
+    allowGridCharging,
+    demandCharge: demandCharge * 1000
+  }
+}
+
+// Converts the form's SoC percentages (of the usable socMin..socMax range) into the MWh values the optimizer expects
+const toOptimizerParams = ({ initialSoCPercent = 50, terminalSoCMode = 'initial', terminalSoCPercent = 50, reserve, site, ...params }) => {
+  const toSoC = (percent) => params.socMin + (params.socMax - params.socMin) * percent / 100
+  let terminalSoC = null
+  if (terminalSoCMode === 'initial') terminalSoC = 'initial'
+  else if (terminalSoCMode === 'target') terminalSoC = toSoC(terminalSoCPercent)
+  return {
+    ...params,
+    initialSoC: toSoC(initialSoCPercent),
+    terminalSoC,
+    reserve: reserve ? toReserveParams(reserve) : null,
+    site: site ? toSiteParams(site) : null
+  }
+}
+
 const App = () => {
   const {
     // State
     activeTab,
     priceData,
-    pMax,
+    timeStep,
+    pChargeMax,
+    pDischargeMax,
     socMin,
     socMax,
-    efficiency,
+    etaCharge,
+    etaDischarge,
+    selfDischargeRate,
+    auxiliaryLoad,
+    degradationCostPerCycle,
+    degradationExponent,
+    tradingCosts,
+    reserve,
+    site,
+    fleet,
+    stochastic,
+    initialSoCPercent,
+    terminalSoCMode,
+    terminalSoCPercent,
     categorizationMethod,
     categorizationOptions,
+    optimizationMethod,
+    optimizationOptions,
     statusMessage,
     optimizationResult,
     polishData,
     startDate,
     endDate,
     analysisType,
+    chainSoC,
+    capacityFade,
+    captureRate,
+    agingModel,
+    walkForward,
     backtestParams,
     backtestResults,
     loading,
@@ -44,10 +114,9 @@ const App = () => {
     // Actions
     setActiveTab,
     setPriceData,
-    setPMax,
+    setSite,
     setSocMin,
     setSocMax,
-    setEfficiency,
     setStatusMessage,
     setOptimizationResult,
     setPolishData,
@@ -82,56 +151,130 @@ const App = () => {
 
   // Generate sample data
   const generateSampleData = useCallback(() => {
+    // Uses the configured seed when one is set so the same sample can be regenerated
+    const random = Number.isFinite(optimizationOptions.seed) ? createRandom(optimizationOptions.seed) : Math.random
+    // One day of prices at the selected resolution
     const samplePrices = []
-    for (let hour = 0; hour < 24; hour++) {
+    for (let step = 0; step < 24 / timeStep; step++) {
+      const hour = Math.floor(step * timeStep)
       let basePrice = 50
       if (hour >= 6 && hour <= 8) basePrice += 20
       if (hour >= 17 && hour <= 20) basePrice += 30
       if (hour >= 22 || hour <= 5) basePrice -= 15
-      basePrice += (Math.random() - 0.5) * 20
+      basePrice += (random() - 0.5) * 20
       samplePrices.push(Math.max(10, basePrice))
     }
     setPriceData(samplePrices.map(p => p.toFixed(2)).join(', '))
+    if (site.enabled) {
+      // A site with a daytime load plateau and a clear-sky PV bell between 6:00 and 20:00
+      const sampleLoad = []
+      const samplePv = []
+      for (let step = 0; step < 24 / timeStep; step++) {
+        const hour = step * timeStep
+        const load = (hour >= 7 && hour < 19 ? 4 : 1.5) + random() * 0.5
+        const pv = hour > 6 && hour < 20 ? 6 * Math.sin(Math.PI * (hour - 6) / 14) : 0
+        sampleLoad.push(load.toFixed(2))
+        samplePv.push(pv.toFixed(2))
+      }
+      setSite({ load: sampleLoad.join(', '), pv: samplePv.join(', ') })
+    }
     setStatusMessage({ type: 'success', text: 'Sample data generated successfully!' })
     resetResults()
-  }, [setPriceData, setStatusMessage, resetResults])
+  }, [optimizationOptions, timeStep, site.enabled, setPriceData, setSite, setStatusMessage, resetResults])
 
-  // Optimize battery
-  const optimizeBattery = useCallback(() => {
+  // Optimize battery (runs in the optimization worker so the UI stays responsive)
+  const optimizeBattery = useCallback(async () => {
     setLoading(true)
     setStatusMessage({ type: 'info', text: 'Running optimization...' })
     resetResults()
 
-    // Reset optimizer state to ensure fresh start
-    optimizer.reset()
-
     try {
       const prices = priceData.split(',').map(p => parseFloat(p.trim())).filter(p => !isNaN(p))
 
-      if (prices.length === 0) throw new Error('Please enter valid price data')
-
-      const params = { pMax, socMin, socMax, efficiency }
+      if (prices.length === 0 && !stochastic.enabled) throw new Error('Please enter valid price data')
+
+      const formParams = {
+        dt: timeStep,
+        pChargeMax,
+        pDischargeMax,
+        socMin,
+        socMax,
+        etaCharge,
+        etaDischarge,
+        selfDischargeRate,
+        auxiliaryLoad,
+        degradationCostPerCycle,
+        degradationExponent,
+        tradingCosts,
+        reserve,
+        site,
+        initialSoCPercent,
+        terminalSoCMode,
+        terminalSoCPercent
+      }
+      const params = toOptimizerParams(formParams)
 
       if (params.socMin >= params.socMax) {
         throw new Error('Minimum SoC must be less than maximum SoC')
       }
 
-      setTimeout(() => {
-        const result = optimizer.optimize(prices, params, categorizationMethod, categorizationOptions)
-        if (result.success) {
-          setStatusMessage({ type: 'success', text: 'Optimization completed successfully!' })
-          setOptimizationResult({ result, prices, params, title: 'Manual Input' })
-        } else {
-          setStatusMessage({ type: 'error', text: `Optimization failed: ${result.error}` })
+      const options = { categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions }
+      let result
+      let runPrices = prices
+      let runParams = params
+      if (stochastic.enabled) {
+        if (fleet.enabled) throw new Error('Fleet and stochastic modes cannot be combined')
+        // Historical days from the last lookbackDays of the market data, drawn with the run's seed
+        let data = polishData
+        if (!data || data.length === 0) {
+          data = await loadPolishData()
+          setPolishData(data)
         }
-        setLoading(false)
-      }, 500)
-
+        const lastTime = new Date(data[data.length - 1].datetime).getTime()
+        const recent = data.filter(record => lastTime - new Date(record.datetime).getTime() < stochastic.lookbackDays * 86400000)
+        const seed = Number.isFinite(optimizationOptions.seed) ? optimizationOptions.seed : generateSeed()
+        const { scenarios, timeStep: scenarioStep } = bootstrapDayScenarios(recent, stochastic.numScenarios, createRandom(seed))
+        runParams = toOptimizerParams({ ...formParams, dt: scenarioStep })
+        result = await runInWorker('stochastic', {
+          scenarios,
+          weights: null,
+          params: runParams,
+          categorizationMethod,
+          categorizationOptions,
+          optimizationOptions: { ...optimizationOptions, seed, riskAversion: stochastic.riskAversion, cvarAlpha: stochastic.cvarAlpha }
+        })
+        if (result.success) runPrices = result.expectedPrices
+      } else if (fleet.enabled) {
+        // Further assets take the form's settings with their own size and efficiencies
+        const assets = [
+          { name: 'Battery 1', params },
+          ...fleet.assets.map(({ name, ...asset }) => ({ name, params: toOptimizerParams({ ...formParams, ...asset }) }))
+        ]
+        if (assets.some(asset => asset.params.socMin >= asset.params.socMax)) {
+          throw new Error('Minimum SoC must be less than maximum SoC for every fleet asset')
+        }
+        const gridLimit = parseFloat(fleet.gridLimit)
+        result = await runInWorker('fleet', {
+          prices,
+          fleet: { assets, gridLimit: Number.isFinite(gridLimit) ? gridLimit : null },
+          ...options
+        })
+      } else {
+        result = await runInWorker('optimize', { prices, params, ...options })
+      }
+      if (result.success) {
+        setStatusMessage({ type: 'success', text: 'Optimization completed successfully!' })
+        const title = stochastic.enabled ? 'Stochastic Scenarios' : fleet.enabled ? 'Fleet' : 'Manual Input'
+        setOptimizationResult({ result, prices: runPrices, params: runParams, title })
+      } else {
+        setStatusMessage({ type: 'error', text: `Optimization failed: ${result.error}` })
+      }
     } catch (error) {
       setStatusMessage({ type: 'error', text: `Error: ${error.message}` })
+    } finally {
       setLoading(false)
     }
-  }, [priceData, pMax, socMin, socMax, efficiency, categorizationMethod, categorizationOptions, setLoading, setStatusMessage, resetResults, setOptimizationResult])
+  }, [priceData, timeStep, pChargeMax, pDischargeMax, socMin, socMax, etaCharge, etaDischarge, selfDischargeRate, auxiliaryLoad, degradationCostPerCycle, degradationExponent, tradingCosts, reserve, site, fleet, stochastic, polishData, initialSoCPercent, terminalSoCMode, terminalSoCPercent, categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions, setLoading, setStatusMessage, setPolishData, resetResults, setOptimizationResult])
 
   // Test data connection
   const testDataConnection = useCallback(async () => {
@@ -163,7 +306,7 @@ const App = () => {
       const testParams = { socMin: 10, socMax: 50, pMax: 5, efficiency: 0.85 }
       
       console.log('Testing optimizer with:', { testPrices, testParams })
-      const result = optimizer.optimize(testPrices, testParams, categorizationMethod, categorizationOptions)
+      const result = optimizer.optimize(testPrices, testParams, categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions)
       
       if (result.success) {
         setStatusMessage({ 
@@ -176,7 +319,7 @@ const App = () => {
     } catch (error) {
       setStatusMessage({ type: 'error', text: `Optimizer test error: ${error.message}` })
     }
-  }, [setStatusMessage, categorizationMethod, categorizationOptions])
+  }, [setStatusMessage, categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions])
 
   // Test optimizer with real data format
   const testOptimizerWithRealData = useCallback(async () => {
@@ -195,7 +338,7 @@ const App = () => {
       console.log('Prices:', prices)
       
       const testParams = { socMin: 10, socMax: 50, pMax: 5, efficiency: 0.85 }
-      const result = optimizer.optimize(prices, testParams, categorizationMethod, categorizationOptions)
+      const result = optimizer.optimize(prices, testParams, categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions)
       
       if (result.success) {
         setStatusMessage({ 
@@ -208,7 +351,7 @@ const App = () => {
     } catch (error) {
       setStatusMessage({ type: 'error', text: `Real data test error: ${error.message}` })
     }
-  }, [setStatusMessage, categorizationMethod, categorizationOptions])
+  }, [setStatusMessage, categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions])
 
   // Test simplified optimization
   const testSimpleOptimization = useCallback(() => {
@@ -270,22 +413,29 @@ const App = () => {
     setStatusMessage({ type: 'info', text: `Loaded preset: ${preset.name}` })
   }, [setStartDate, setEndDate, setAnalysisType, setStatusMessage])
 
+  // Aborts the backtest in progress; finished periods are kept as partial results
+  const backtestAbortRef = useRef(null)
+
+  const cancelBacktest = useCallback(() => {
+    if (!backtestAbortRef.current) return
+    backtestAbortRef.current.abort()
+    setProgressText('Cancelling after the current period...')
+  }, [setProgressText])
+
   // Run backtest
   const runBacktest = useCallback(async () => {
+    const abortController = new AbortController()
+    backtestAbortRef.current = abortController
     setLoading(true)
     resetResults()
     setProgress(0)
     setProgressText('Preparing backtest...')
     setStatusMessage({ type: 'info', text: 'Running historical backtest...' })
 
-    // Reset optimizer state to ensure fresh start
-    optimizer.reset()
-
     try {
       let currentPolishData = polishData
       if (!currentPolishData || currentPolishData.length === 0) {
         setProgressText('Loading Polish electricity market data...')
-        setProgress(10)
         try {
           currentPolishData = await loadPolishData()
           setPolishData(currentPolishData)
@@ -299,9 +449,8 @@ const App = () => {
       }
 
       setProgressText('Filtering data by date range...')
-      setProgress(20)
 
-      const params = backtestParams
+      const params = toOptimizerParams(backtestParams)
 
       if (params.socMin >= params.socMax) {
         throw new Error('Minimum SoC must be less than maximum SoC')
@@ -319,9 +468,10 @@ const App = () => {
       console.log(`Sample filtered data:`, filteredData.slice(0, 3))
 
       setProgressText(`Processing ${filteredData.length} records...`)
-      setProgress(40)
 
-      const groups = groupDataByPeriod(filteredData, analysisType)
+      // Walk-forward backtests score day by day, forecasting each day from the records before it
+      const periodType = walkForward.enabled ? 'daily' : analysisType
+      const groups = groupDataByPeriod(filteredData, periodType)
       const groupKeys = Object.keys(groups).sort()
 
       if (groupKeys.length === 0) {
@@ -342,122 +492,66 @@ const App = () => {
       }
 
       setProgressText(`Analyzing ${groupKeys.length} periods...`)
-      setProgress(60)
 
-      const results = []
+      // One seed for the whole backtest (drawn if none was entered) so the reported numbers can be reproduced
+      const seed = Number.isFinite(optimizationOptions.seed) ? optimizationOptions.seed : generateSeed()
+      const runOptions = { ...optimizationOptions, seed }
+      console.log(`Backtest seed: ${seed}`)
+
+      // Cycle-depth sensitivity of capacity fade follows the degradation cost model
+      const periodAgingModel = capacityFade ? { ...agingModel, depthExponent: params.degradationExponent } : null
+
+      // The training window of the first day reaches back before the selected range
+      const walkForwardSettings = walkForward.enabled
+        ? { trainingDays: walkForward.trainingDays, forecastModel: walkForward.forecastModel }
+        : null
+      let walkForwardConfig = null
+      if (walkForwardSettings) {
+        const trainingStart = new Date(startDate)
+        trainingStart.setDate(trainingStart.getDate() - walkForwardSettings.trainingDays - 1)
+        walkForwardConfig = { ...walkForwardSettings, records: filterDataByDateRange(currentPolishData, trainingStart, endDate) }
+      }
 
-      for (const [index, key] of groupKeys.entries()) {
-        const groupData = groups[key]
-        const prices = groupData.map(record => record.price)
-
-        console.log(`Processing period ${key}: ${prices.length} data points`)
-        console.log(`Price range: ${Math.min(...prices)} - ${Math.max(...prices)}`)
-        console.log(`Sample prices:`, prices.slice(0, 5))
-
-        if (prices.length >= 24) {
-          console.log(`Attempting optimization for period ${key} with ${prices.length} data points`)
-          console.log(`Parameters:`, params)
-          
-          try {
-            const result = optimizer.optimize(prices, params, categorizationMethod, categorizationOptions)
-            
-            if (result.success) {
-              console.log(`✓ Optimization successful for period ${key}`)
-              console.log(`  Revenue: ${result.totalRevenue}`)
-              console.log(`  Energy charged: ${result.totalEnergyCharged}`)
-              console.log(`  Energy discharged: ${result.totalEnergyDischarged}`)
-              results.push({
-                period: key,
-                periodStart: groupData[0].datetime,
-                periodEnd: groupData[groupData.length - 1].datetime,
-                dataPoints: prices.length,
-                prices: prices,
-                ...result
-              })
-            } else {
-              console.error(`✗ Main optimization failed for period ${key}:`, result.error)
-              console.error(`Error details:`, result)
-              
-              // Try simplified optimization as fallback
-              console.log(`Attempting simplified optimization for period ${key}...`)
-              const simpleSchedule = optimizer.simpleOptimize(prices, params)
-              const totalRevenue = simpleSchedule.revenue.reduce((sum, rev) => sum + rev, 0)
-              const totalEnergyCharged = simpleSchedule.charging.reduce((sum, charge) => sum + charge, 0)
-              const totalEnergyDischarged = simpleSchedule.discharging.reduce((sum, discharge) => sum + discharge, 0)
-              
-              console.log(`✓ Simplified optimization successful for period ${key}`)
-              console.log(`  Revenue: ${totalRevenue}`)
-              console.log(`  Energy charged: ${totalEnergyCharged}`)
-              console.log(`  Energy discharged: ${totalEnergyDischarged}`)
-              
-              results.push({
-                period: key,
-                periodStart: groupData[0].datetime,
-                periodEnd: groupData[groupData.length - 1].datetime,
-                dataPoints: prices.length,
-                prices: prices,
-                success: true,
-                schedule: simpleSchedule,
-                totalRevenue,
-                totalEnergyCharged,
-                totalEnergyDischarged,
-                operationalEfficiency: totalEnergyCharged > 0 ? totalEnergyDischarged / totalEnergyCharged : 0,
-                avgPrice: prices.reduce((a, b) => a + b, 0) / prices.length,
-                cycles: 0, // Simplified optimization doesn't calculate cycles
-                vwapCharge: 0,
-                vwapDischarge: 0,
-                method: 'simplified'
-              })
-            }
-          } catch (optimizationError) {
-            console.error(`✗ Optimization threw exception for period ${key}:`, optimizationError)
-            console.error(`Exception stack:`, optimizationError.stack)
-            
-            // Try simplified optimization as fallback
-            console.log(`Attempting simplified optimization as fallback for period ${key}...`)
-            try {
-              const simpleSchedule = optimizer.simpleOptimize(prices, params)
-              const totalRevenue = simpleSchedule.revenue.reduce((sum, rev) => sum + rev, 0)
-              const totalEnergyCharged = simpleSchedule.charging.reduce((sum, charge) => sum + charge, 0)
-              const totalEnergyDischarged = simpleSchedule.discharging.reduce((sum, discharge) => sum + discharge, 0)
-              
-              console.log(`✓ Simplified optimization fallback successful for period ${key}`)
-              
-              results.push({
-                period: key,
-                periodStart: groupData[0].datetime,
-                periodEnd: groupData[groupData.length - 1].datetime,
-                dataPoints: prices.length,
-                prices: prices,
-                success: true,
-                schedule: simpleSchedule,
-                totalRevenue,
-                totalEnergyCharged,
-                totalEnergyDischarged,
-                operationalEfficiency: totalEnergyCharged > 0 ? totalEnergyDischarged / totalEnergyCharged : 0,
-                avgPrice: prices.reduce((a, b) => a + b, 0) / prices.length,
-                cycles: 0,
-                vwapCharge: 0,
-                vwapDischarge: 0,
-                method: 'simplified_fallback'
-              })
-            } catch (fallbackError) {
-              console.error(`✗ Simplified optimization fallback also failed for period ${key}:`, fallbackError)
-            }
-          }
-        } else {
-          console.warn(`Skipping period ${key} due to insufficient data points (${prices.length} < 24).`)
-        }
+      // Periods are optimized in the worker; each finished period streams back and advances the progress bar
+      const results = []
+      let cancelled = false
+      const backtestRequest = runInWorker('backtest', {
+        groups: Object.fromEntries(groupKeys.map(key => [key, groups[key]])),
+        groupKeys,
+        params,
+        categorizationMethod,
+        categorizationOptions,
+        optimizationMethod,
+        optimizationOptions: runOptions,
+        chainSoC,
+        captureRate,
+        agingModel: periodAgingModel,
+        walkForward: walkForwardConfig
+      }, {
+        onPeriodResult: (result) => results.push(result),
+        onProgress: ({ completed, total, period }) => {
+          setProgress(100 * completed / total)
+          if (!abortController.signal.aborted) setProgressText(`Analyzed period ${completed}/${total}: ${period}`)
+        },
+        onGeneration: ({ period, generation, bestScore }) => {
+          if (!abortController.signal.aborted) setProgressText(`Period ${period}: generation ${generation + 1}, best score ${bestScore.toFixed(0)}`)
+        },
+        signal: abortController.signal
+      })
 
-        const totalProgress = 60 + (40 * (index + 1) / groupKeys.length)
-        setProgress(totalProgress)
-        setProgressText(`Analyzed period ${index + 1}/${groupKeys.length}: ${key}`)
+      try {
+        cancelled = (await backtestRequest).cancelled
+      } catch (error) {
+        if (error.name !== 'AbortError') throw error
+        cancelled = true
+      }
 
-        await new Promise(resolve => setTimeout(resolve, 10))
+      if (cancelled && results.length === 0) {
+        setStatusMessage({ type: 'info', text: 'Backtest cancelled before any period finished.' })
+        return
       }
 
       setProgressText('Generating results...')
-      setProgress(100)
 
       if (results.length === 0) {
         throw new Error('No valid optimization results generated for any period. Check data, parameters, or date range.')
@@ -466,23 +560,34 @@ const App = () => {
 
       setBacktestResults({
         results,
-        analysisType,
+        analysisType: periodType,
         dateRange: { start: startDate, end: endDate },
         params,
         categorizationMethod,
-        categorizationOptions
+        categorizationOptions,
+        optimizationMethod,
+        optimizationOptions: runOptions,
+        chainSoC,
+        agingModel: periodAgingModel,
+        walkForward: walkForwardSettings,
+        seed,
+        cancelled,
+        totalPeriods: groupKeys.length
       })
-      setStatusMessage({ type: 'success', text: 'Backtest completed successfully!' })
+      setStatusMessage(cancelled
+        ? { type: 'info', text: `Backtest cancelled - showing partial results for ${results.length} of ${groupKeys.length} periods.` }
+        : { type: 'success', text: 'Backtest completed successfully!' })
 
     } catch (error) {
       setStatusMessage({ type: 'error', text: `Backtest failed: ${error.message}` })
       console.error('Backtest Error:', error)
     } finally {
+      backtestAbortRef.current = null
       setLoading(false)
       setProgress(0)
       setProgressText('')
     }
-  }, [polishData, startDate, endDate, analysisType, backtestParams, categorizationMethod, categorizationOptions, setLoading, resetResults, setProgress, setProgressText, setStatusMessage, setPolishData, setBacktestResults])
+  }, [polishData, startDate, endDate, analysisType, chainSoC, capacityFade, captureRate, agingModel, walkForward, backtestParams, categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions, setLoading, resetResults, setProgress, setProgressText, setStatusMessage, setPolishData, setBacktestResults])
 
   // Show period detail
   const showPeriodDetail = useCallback((periodKey) => {
@@ -513,18 +618,29 @@ const App = () => {
     const prompt = `Analyze the following battery energy storage optimization results and provide concise strategic insights and potential next steps. Focus on revenue maximization, efficiency, and market conditions.
 
 **Optimization Parameters:**
-Max Power (MW): ${params.pMax}
+Max Charge Power (MW): ${params.pChargeMax}
+Max Discharge Power (MW): ${params.pDischargeMax}
 Min SoC (MWh): ${params.socMin}
 Max SoC (MWh): ${params.socMax}
-Efficiency: ${params.efficiency}
+Charge Efficiency: ${params.etaCharge}
+Discharge Efficiency: ${params.etaDischarge}
+Self-Discharge (per hour): ${params.selfDischargeRate}
+Auxiliary Load (MW): ${params.auxiliaryLoad}
+Degradation Cost (€ per full cycle): ${params.degradationCostPerCycle}
+Time Step (minutes): ${(result.timeStep || 1) * 60}
 
 **Performance Metrics:**
-Total Revenue: €${result.totalRevenue.toFixed(2)}
+Total Revenue (net of trading costs): €${result.totalRevenue.toFixed(2)}
+Gross Revenue (at market prices): €${(result.grossRevenue ?? result.totalRevenue).toFixed(2)}
+Trading Costs (fees, tariffs, taxes, spread): €${(result.tradingCosts || 0).toFixed(2)}
+Stored Energy Value (not in revenue): €${(result.inventoryValue || 0).toFixed(2)}
+Revenue Stack: energy arbitrage €${(result.revenueStack?.energyArbitrage || 0).toFixed(2)}, reserve capacity €${(result.revenueStack?.reserveCapacity || 0).toFixed(2)}, peak shaving €${(result.revenueStack?.peakShaving || 0).toFixed(2)}
 Energy Discharged: ${result.totalEnergyDischarged.toFixed(1)} MWh
 Energy Charged: ${result.totalEnergyCharged.toFixed(1)} MWh
 Operational Efficiency: ${(result.operationalEfficiency * 100).toFixed(1)}%
 Average Market Price: €${result.avgPrice.toFixed(2)}/MWh
-Battery Cycles: ${result.cycles.toFixed(2)}
+Equivalent Full Cycles: ${result.cycles.toFixed(2)}
+Degradation Cost: €${(result.degradationCost || 0).toFixed(2)}
 VWAP Charge Price: €${result.vwapCharge.toFixed(2)}/MWh
 VWAP Discharge Price: €${result.vwapDischarge.toFixed(2)}/MWh
 
@@ -697,12 +813,20 @@ Based on these metrics, what are the key takeaways? Suggest 1-3 actionable strat
           <div className="lg:col-span-2 xl:col-span-2">
             <BacktestForm 
               onRunBacktest={runBacktest}
+              onCancelBacktest={cancelBacktest}
               onLoadPresets={loadQuickPresets}
               onTestConnection={testDataConnection}
             />
           </div>
         )}
 
+        {/* Price Forecast Window */}
+        {activeTab === 'backtest' && (
+          <div className="lg:col-span-2 xl:col-span-2">
+            <ForecastPanel />
+          </div>
+        )}
+
         {/* Results Dashboard Window - Spans Multiple Columns */}
         {optimizationResult && (
           <div className="amiga-window lg:col-span-2 xl:col-span-2">
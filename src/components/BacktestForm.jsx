@@ -15,24 +15,51 @@ import {
   Play,
   RotateCcw,
   Wifi,
-  BarChart3
+  BarChart3,
+  X
 } from 'lucide-react'
 import { formatNumber } from '../lib/utils'
+import ReserveSettings from './ReserveSettings'
+import SiteSettings from './SiteSettings'
+import { FORECAST_MODELS } from '../utils/forecasting.js'
 
-const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
+// Per-MWh trading cost inputs; VAT is entered separately as a percentage
+const TRADING_COST_FIELDS = [
+  { key: 'importTariff', label: 'Import tariff' },
+  { key: 'exportTariff', label: 'Export tariff' },
+  { key: 'exchangeFee', label: 'Exchange fee' },
+  { key: 'bidAskSpread', label: 'Bid/ask spread' },
+  { key: 'exciseDuty', label: 'Excise (imports)' }
+]
+
+const BacktestForm = ({ onRunBacktest, onCancelBacktest, onLoadPresets, onTestConnection }) => {
   const {
     startDate,
     endDate,
     analysisType,
+    chainSoC,
+    capacityFade,
+    captureRate,
+    agingModel,
+    walkForward,
     backtestParams,
     categorizationMethod,
     categorizationOptions,
     setStartDate,
     setEndDate,
     setAnalysisType,
+    setChainSoC,
+    setCapacityFade,
+    setCaptureRate,
+    setAgingModel,
+    setWalkForward,
     updateBacktestParams,
     setCategorizationMethod,
     setCategorizationOptions,
+    optimizationMethod,
+    optimizationOptions,
+    setOptimizationMethod,
+    setOptimizationOptions,
     loading,
     progress,
     progressText
@@ -42,6 +69,33 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
     updateBacktestParams({ [param]: value[0] })
   }
 
+  const updateTradingCosts = (updates) => {
+    updateBacktestParams({ tradingCosts: { ...backtestParams.tradingCosts, ...updates } })
+  }
+
+  // Reserve and the site mode need the linear program; switching either on selects it
+  const linearProgramOnly = backtestParams.reserve.enabled || backtestParams.site.enabled
+  const updateLinearProgramMode = (key, updates) => {
+    updateBacktestParams({ [key]: { ...backtestParams[key], ...updates } })
+    if (updates.enabled) setOptimizationMethod('linear_programming')
+  }
+
+  // Price regimes include the optional negative-price and scarcity regimes
+  // (not used by the continuous HMM, which fits extreme prices as regimes of their own)
+  const numStates = categorizationOptions.numStates || 3
+  const isContinuousHmm = categorizationMethod === 'gaussian_hmm'
+  const hasScarcityRegime = categorizationOptions.scarcityThreshold !== null && categorizationOptions.scarcityThreshold !== undefined
+  const specialRegimes = isContinuousHmm ? 0 : (categorizationOptions.negativeRegime ? 1 : 0) + (hasScarcityRegime ? 1 : 0)
+
+  // Enabling a special regime adds a state so the regular regimes keep their count
+  const toggleSpecialRegime = (updates, enabled) => {
+    setCategorizationOptions({
+      ...categorizationOptions,
+      ...updates,
+      numStates: Math.max(2, numStates + (enabled ? 1 : -1))
+    })
+  }
+
   const analysisTypes = [
     { value: 'continuous', label: 'Continuous Period' },
     { value: 'monthly', label: 'Monthly Analysis' },
@@ -121,6 +175,7 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
               <select
                 value={analysisType}
                 onChange={(e) => setAnalysisType(e.target.value)}
+                disabled={walkForward.enabled}
                 className="amiga-input text-xs w-full"
               >
                 {analysisTypes.map((type) => (
@@ -129,6 +184,118 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
                   </option>
                 ))}
               </select>
+              <label className="text-xs flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={chainSoC}
+                  onChange={(e) => setChainSoC(e.target.checked)}
+                />
+                Chain periods (carry end SoC into the next period)
+              </label>
+              <label className="text-xs flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={captureRate}
+                  onChange={(e) => setCaptureRate(e.target.checked)}
+                />
+                Capture rate (benchmark each period against perfect foresight)
+              </label>
+              <label className="text-xs flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={capacityFade}
+                  onChange={(e) => setCapacityFade(e.target.checked)}
+                />
+                Capacity fade (state of health across periods)
+              </label>
+              {capacityFade && (
+                <div className="space-y-1 pl-4">
+                  <label className="text-xs flex items-center gap-1">
+                    Cycle life
+                    <input
+                      type="number"
+                      min={1}
+                      value={agingModel.cycleLife}
+                      onChange={(e) => setAgingModel({ ...agingModel, cycleLife: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                      className="amiga-input text-xs w-20"
+                    />
+                    full cycles to
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      value={Math.round(agingModel.endOfLifeSoH * 100)}
+                      onChange={(e) => setAgingModel({ ...agingModel, endOfLifeSoH: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })}
+                      className="amiga-input text-xs w-14"
+                    />
+                    % SoH
+                  </label>
+                  <label className="text-xs flex items-center gap-1">
+                    Calendar fade
+                    <input
+                      type="number"
+                      min={0}
+                      step={0.1}
+                      value={agingModel.calendarFadePerYear * 100}
+                      onChange={(e) => setAgingModel({ ...agingModel, calendarFadePerYear: Math.max(0, parseFloat(e.target.value) || 0) / 100 })}
+                      className="amiga-input text-xs w-14"
+                    />
+                    % per year
+                  </label>
+                  <label className="text-xs flex items-center gap-1">
+                    Rated throughput
+                    <input
+                      type="number"
+                      min={0}
+                      placeholder="off"
+                      value={agingModel.ratedThroughput ?? ''}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value)
+                        setAgingModel({ ...agingModel, ratedThroughput: value > 0 ? value : null })
+                      }}
+                      className="amiga-input text-xs w-20"
+                    />
+                    MWh to end of life
+                  </label>
+                </div>
+              )}
+              <label className="text-xs flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={walkForward.enabled}
+                  onChange={(e) => setWalkForward({ enabled: e.target.checked })}
+                />
+                Walk-forward (out-of-sample, day by day)
+              </label>
+              {walkForward.enabled && (
+                <div className="space-y-1 pl-4">
+                  <label className="text-xs flex items-center gap-1">
+                    Train on the previous
+                    <input
+                      type="number"
+                      min={2}
+                      max={365}
+                      value={walkForward.trainingDays}
+                      onChange={(e) => setWalkForward({ trainingDays: Math.min(365, Math.max(2, parseInt(e.target.value, 10) || 2)) })}
+                      className="amiga-input text-xs w-14"
+                    />
+                    days
+                  </label>
+                  <select
+                    value={walkForward.forecastModel}
+                    onChange={(e) => setWalkForward({ forecastModel: e.target.value })}
+                    className="amiga-input text-xs w-full"
+                  >
+                    {Object.entries(FORECAST_MODELS).map(([model, label]) => (
+                      <option key={model} value={model}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-[#555555]">
+                    Each day is scheduled on a price forecast from the days before it and scored at the realized
+                    prices, so revenue and capture rate are out-of-sample; replaces the analysis type
+                  </p>
+                </div>
+              )}
             </div>
 
             {/* Price Categorization Method */}
@@ -147,9 +314,138 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
                 <option value="volatility">Volatility-based</option>
                 <option value="kmeans">K-means Clustering</option>
                 <option value="quantile">Quantile-based (Default)</option>
+                <option value="gaussian_hmm">Gaussian HMM (Continuous Prices)</option>
+              </select>
+              <p className="text-xs text-[#555555]">
+                Method for categorizing prices into regimes (Low/Medium/High by default)
+              </p>
+              {isContinuousHmm && (
+                <select
+                  value={categorizationOptions.emissionDistribution || 'gaussian'}
+                  onChange={(e) => setCategorizationOptions({ ...categorizationOptions, emissionDistribution: e.target.value })}
+                  className="amiga-input text-xs w-full"
+                >
+                  <option value="gaussian">Gaussian Emissions</option>
+                  <option value="lognormal">Log-normal Emissions</option>
+                </select>
+              )}
+              <div>
+                <label className="text-xs">Price Regimes: {numStates}</label>
+                <Slider
+                  value={[numStates]}
+                  onValueChange={(value) => setCategorizationOptions({ ...categorizationOptions, numStates: value[0] })}
+                  max={7}
+                  min={Math.max(2, 1 + specialRegimes)}
+                  step={1}
+                  className="w-full"
+                />
+              </div>
+              {!isContinuousHmm && (
+                <>
+                  <label className="text-xs flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={!!categorizationOptions.negativeRegime}
+                      onChange={(e) => toggleSpecialRegime({ negativeRegime: e.target.checked }, e.target.checked)}
+                    />
+                    Separate negative-price regime
+                  </label>
+                  <label className="text-xs flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={hasScarcityRegime}
+                      onChange={(e) => toggleSpecialRegime({ scarcityThreshold: e.target.checked ? 300 : null }, e.target.checked)}
+                    />
+                    Scarcity regime at or above
+                    <input
+                      type="number"
+                      value={categorizationOptions.scarcityThreshold ?? 300}
+                      disabled={!hasScarcityRegime}
+                      onChange={(e) => setCategorizationOptions({ ...categorizationOptions, scarcityThreshold: parseFloat(e.target.value) || 0 })}
+                      className="amiga-input text-xs w-16"
+                    />
+                    €/MWh
+                  </label>
+                </>
+              )}
+            </div>
+
+            {/* HMM Training */}
+            <div className="space-y-2">
+              <label className="text-xs font-bold flex items-center gap-1">
+                <BarChart3 className="h-3 w-3" />
+                HMM Training
+              </label>
+              <select
+                value={optimizationOptions.hmmTraining || 'heuristic'}
+                onChange={(e) => setOptimizationOptions({ ...optimizationOptions, hmmTraining: e.target.value })}
+                className="amiga-input text-xs w-full"
+              >
+                <option value="heuristic">Heuristic Counts (Default)</option>
+                <option value="baum_welch">Baum-Welch (EM)</option>
               </select>
               <p className="text-xs text-[#555555]">
-                Method for categorizing prices into Low/Medium/High
+                Baum-Welch learns transition, emission and initial probabilities from the prices
+                (the Gaussian HMM is always trained this way)
+              </p>
+            </div>
+
+            {/* Optimization Method */}
+            <div className="space-y-2">
+              <label className="text-xs font-bold flex items-center gap-1">
+                <Settings className="h-3 w-3" />
+                Optimization Method
+              </label>
+              <select
+                value={optimizationMethod}
+                onChange={(e) => setOptimizationMethod(e.target.value)}
+                className="amiga-input text-xs w-full"
+              >
+                <option value="differential_evolution" disabled={linearProgramOnly}>Differential Evolution (HMM-guided)</option>
+                <option value="linear_programming">Linear Programming (Exact)</option>
+                <option value="dynamic_programming" disabled={linearProgramOnly}>Dynamic Programming (SoC Grid)</option>
+                <option value="simplified" disabled={linearProgramOnly}>Simplified Greedy</option>
+              </select>
+              <p className="text-xs text-[#555555]">
+                {linearProgramOnly
+                  ? 'Frequency reserve and the behind-the-meter site are only modelled by linear programming'
+                  : 'Linear programming finds the reproducible optimum for the given prices'}
+              </p>
+              {optimizationMethod === 'linear_programming' && (
+                <p className="text-xs text-[#555555]">
+                  Solved whole up to about 130 days of hourly prices (33 days at 15 minutes), 53-70 days behind the
+                  meter and 28-30 days with reserve; longer periods are solved in daily windows, close to but below
+                  the optimum
+                </p>
+              )}
+              {optimizationMethod === 'dynamic_programming' && (
+                <div>
+                  <label className="text-xs">SoC Grid Resolution: {optimizationOptions.socSteps || 41} levels</label>
+                  <Slider
+                    value={[optimizationOptions.socSteps || 41]}
+                    onValueChange={(value) => setOptimizationOptions({ ...optimizationOptions, socSteps: value[0] })}
+                    max={201}
+                    min={11}
+                    step={10}
+                    className="w-full"
+                  />
+                  <p className="text-xs text-[#555555]">
+                    Finer grids are closer to the exact optimum but slower
+                  </p>
+                </div>
+              )}
+              <label className="text-xs flex items-center gap-1">
+                Random Seed
+                <input
+                  type="number"
+                  value={optimizationOptions.seed ?? ''}
+                  placeholder="auto"
+                  onChange={(e) => setOptimizationOptions({ ...optimizationOptions, seed: e.target.value === '' ? undefined : parseInt(e.target.value, 10) })}
+                  className="amiga-input text-xs w-24"
+                />
+              </label>
+              <p className="text-xs text-[#555555]">
+                Fix the seed to reproduce a run exactly; left empty, a seed is drawn and reported with the results
               </p>
             </div>
 
@@ -161,10 +457,10 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
               </div>
               <div className="space-y-2">
                 <div>
-                  <label className="text-xs">Power: {formatNumber(backtestParams.pMax)} MW</label>
+                  <label className="text-xs">Charge Power: {formatNumber(backtestParams.pChargeMax)} MW</label>
                   <Slider
-                    value={[backtestParams.pMax]}
-                    onValueChange={(value) => handleSliderChange(value, 'pMax')}
+                    value={[backtestParams.pChargeMax]}
+                    onValueChange={(value) => handleSliderChange(value, 'pChargeMax')}
                     max={50}
                     min={1}
                     step={0.5}
@@ -172,15 +468,125 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
                   />
                 </div>
                 <div>
-                  <label className="text-xs">Efficiency: {formatNumber(backtestParams.efficiency * 100, 0)}%</label>
+                  <label className="text-xs">Discharge Power: {formatNumber(backtestParams.pDischargeMax)} MW</label>
+                  <Slider
+                    value={[backtestParams.pDischargeMax]}
+                    onValueChange={(value) => handleSliderChange(value, 'pDischargeMax')}
+                    max={50}
+                    min={1}
+                    step={0.5}
+                    className="w-full"
+                  />
+                </div>
+                <div>
+                  <label className="text-xs">Charge Efficiency: {formatNumber(backtestParams.etaCharge * 100, 0)}%</label>
+                  <Slider
+                    value={[backtestParams.etaCharge]}
+                    onValueChange={(value) => handleSliderChange(value, 'etaCharge')}
+                    max={1}
+                    min={0.7}
+                    step={0.01}
+                    className="w-full"
+                  />
+                </div>
+                <div>
+                  <label className="text-xs">Discharge Efficiency: {formatNumber(backtestParams.etaDischarge * 100, 0)}%</label>
                   <Slider
-                    value={[backtestParams.efficiency]}
-                    onValueChange={(value) => handleSliderChange(value, 'efficiency')}
+                    value={[backtestParams.etaDischarge]}
+                    onValueChange={(value) => handleSliderChange(value, 'etaDischarge')}
                     max={1}
-                    min={0.5}
+                    min={0.7}
                     step={0.01}
                     className="w-full"
                   />
+                  <p className="text-xs text-[#555555]">
+                    Round trip: {formatNumber(backtestParams.etaCharge * backtestParams.etaDischarge * 100, 0)}%
+                  </p>
+                </div>
+                <div>
+                  <label className="text-xs">Self-discharge: {formatNumber(backtestParams.selfDischargeRate * 100, 3)}% of SoC per hour</label>
+                  <Slider
+                    value={[backtestParams.selfDischargeRate]}
+                    onValueChange={(value) => handleSliderChange(value, 'selfDischargeRate')}
+                    max={0.002}
+                    min={0}
+                    step={0.00005}
+                    className="w-full"
+                  />
+                </div>
+                <div>
+                  <label className="text-xs">Auxiliary Load: {formatNumber(backtestParams.auxiliaryLoad, 2)} MW</label>
+                  <Slider
+                    value={[backtestParams.auxiliaryLoad]}
+                    onValueChange={(value) => handleSliderChange(value, 'auxiliaryLoad')}
+                    max={2}
+                    min={0}
+                    step={0.05}
+                    className="w-full"
+                  />
+                </div>
+                <div>
+                  <label className="text-xs flex items-center gap-1">
+                    Degradation (€ per full cycle)
+                    <input
+                      type="number"
+                      min={0}
+                      value={backtestParams.degradationCostPerCycle}
+                      onChange={(e) => updateBacktestParams({ degradationCostPerCycle: Math.max(0, parseFloat(e.target.value) || 0) })}
+                      className="amiga-input text-xs w-24"
+                    />
+                  </label>
+                </div>
+                <div>
+                  <label className="text-xs">Degradation Depth Exponent: {formatNumber(backtestParams.degradationExponent, 1)}</label>
+                  <Slider
+                    value={[backtestParams.degradationExponent]}
+                    onValueChange={(value) => handleSliderChange(value, 'degradationExponent')}
+                    max={2.5}
+                    min={1}
+                    step={0.1}
+                    className="w-full"
+                  />
+                </div>
+                <div>
+                  <label className="text-xs">Trading Costs (€/MWh)</label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {TRADING_COST_FIELDS.map(({ key, label }) => (
+                      <label key={key} className="text-xs flex items-center justify-between gap-1">
+                        {label}
+                        <input
+                          type="number"
+                          min={0}
+                          step={0.1}
+                          value={backtestParams.tradingCosts[key]}
+                          onChange={(e) => updateTradingCosts({ [key]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                          className="amiga-input text-xs w-16"
+                        />
+                      </label>
+                    ))}
+                    <label className="text-xs flex items-center justify-between gap-1">
+                      VAT on imports (%)
+                      <input
+                        type="number"
+                        min={0}
+                        max={100}
+                        value={Math.round(backtestParams.tradingCosts.vatRate * 1000) / 10}
+                        onChange={(e) => updateTradingCosts({ vatRate: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })}
+                        className="amiga-input text-xs w-16"
+                      />
+                    </label>
+                  </div>
+                </div>
+                <ReserveSettings
+                  reserve={backtestParams.reserve}
+                  onChange={(updates) => updateLinearProgramMode('reserve', updates)}
+                />
+                <div>
+                  <label className="text-xs">Operating Mode</label>
+                  <SiteSettings
+                    site={backtestParams.site}
+                    onChange={(updates) => updateLinearProgramMode('site', updates)}
+                  />
                 </div>
                 <div>
                   <label className="text-xs">Battery Capacity Configuration</label>
@@ -189,13 +595,13 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
                     <div>
                       <div className="flex justify-between text-xs mb-1">
                         <span>Max SoC</span>
-                        <span>{(backtestParams.socMax / backtestParams.pMax).toFixed(1)}x Max Power ({formatNumber(backtestParams.socMax)} MWh)</span>
+                        <span>{(backtestParams.socMax / backtestParams.pDischargeMax).toFixed(1)}x Discharge Power ({formatNumber(backtestParams.socMax)} MWh)</span>
                       </div>
                       <Slider
-                        value={[backtestParams.socMax / backtestParams.pMax]}
+                        value={[backtestParams.socMax / backtestParams.pDischargeMax]}
                         onValueChange={(value) => {
                           const socFactor = value[0]
-                          const newMax = backtestParams.pMax * socFactor
+                          const newMax = backtestParams.pDischargeMax * socFactor
                           // Keep the same absolute DoD when Max SoC changes
                           const currentDoD = backtestParams.socMax - backtestParams.socMin
                           const newMin = Math.max(0, newMax - currentDoD)
@@ -208,8 +614,8 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
                         className="w-full"
                       />
                       <div className="flex justify-between text-xs">
-                        <span>1x ({formatNumber(backtestParams.pMax)} MWh)</span>
-                        <span>6x ({formatNumber(backtestParams.pMax * 6)} MWh)</span>
+                        <span>1x ({formatNumber(backtestParams.pDischargeMax)} MWh)</span>
+                        <span>6x ({formatNumber(backtestParams.pDischargeMax * 6)} MWh)</span>
                       </div>
                     </div>
 
@@ -237,6 +643,48 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
                     </div>
                   </div>
                 </div>
+                <div>
+                  <div className="flex justify-between text-xs mb-1">
+                    <span>Initial SoC</span>
+                    <span>{backtestParams.initialSoCPercent}% of usable range</span>
+                  </div>
+                  <Slider
+                    value={[backtestParams.initialSoCPercent]}
+                    onValueChange={(value) => handleSliderChange(value, 'initialSoCPercent')}
+                    max={100}
+                    min={0}
+                    step={5}
+                    className="w-full"
+                  />
+                </div>
+                <div>
+                  <label className="text-xs">End SoC</label>
+                  <select
+                    value={backtestParams.terminalSoCMode}
+                    onChange={(e) => updateBacktestParams({ terminalSoCMode: e.target.value })}
+                    className="amiga-input w-full text-xs"
+                  >
+                    <option value="free">Free End SoC</option>
+                    <option value="initial">End SoC ≥ Initial SoC</option>
+                    <option value="target">End SoC ≥ Target</option>
+                  </select>
+                </div>
+                {backtestParams.terminalSoCMode === 'target' && (
+                  <div>
+                    <div className="flex justify-between text-xs mb-1">
+                      <span>Target End SoC</span>
+                      <span>{backtestParams.terminalSoCPercent}% of usable range</span>
+                    </div>
+                    <Slider
+                      value={[backtestParams.terminalSoCPercent]}
+                      onValueChange={(value) => handleSliderChange(value, 'terminalSoCPercent')}
+                      max={100}
+                      min={0}
+                      step={5}
+                      className="w-full"
+                    />
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -284,9 +732,19 @@ const BacktestForm = ({ onRunBacktest, onLoadPresets, onTestConnection }) => {
             {/* Progress Bar */}
             {loading && (
               <div className="space-y-2">
-                <div className="flex items-center justify-between text-xs">
+                <div className="flex items-center justify-between gap-2 text-xs">
                   <span className="text-[#555555]">{progressText}</span>
-                  <span className="font-medium">{Math.round(progress)}%</span>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{Math.round(progress)}%</span>
+                    <button
+                      onClick={onCancelBacktest}
+                      className="amiga-button text-xs"
+                      title="Stop after the current period and keep finished periods"
+                    >
+                      <X className="h-3 w-3 mr-1" />
+                      Cancel
+                    </button>
+                  </div>
                 </div>
                 <div className="w-full bg-[#AAAAAA] border-2 inset border-[#AAAAAA] h-2">
                   <motion.div
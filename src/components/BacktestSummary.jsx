@@ -15,9 +15,10 @@ import {
   SortDesc,
   Table
 } from 'lucide-react'
-import { formatCurrency, formatNumber, formatDate } from '../lib/utils'
+import { formatCurrency, formatNumber, formatDate, formatPercentage } from '../lib/utils'
 import { cn } from '../lib/utils'
 import { Line, Bar } from 'react-chartjs-2'
+import { RevenueStackChart } from './ChartComponents'
 
 const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
   const [sortField, setSortField] = useState('totalRevenue')
@@ -26,7 +27,7 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
 
   if (!backtestResults) return null
 
-  const { results, analysisType, dateRange, params, categorizationMethod, categorizationOptions } = backtestResults
+  const { results, analysisType, dateRange, params, categorizationMethod, categorizationOptions, optimizationMethod, chainSoC, agingModel, walkForward, seed, cancelled, totalPeriods } = backtestResults
 
   // Sorting and filtering
   let filteredResults = [...results]
@@ -43,6 +44,9 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
 
   // Calculate summary statistics
   const totalRevenue = results.reduce((sum, r) => sum + r.totalRevenue, 0)
+  // Gross revenue values the same schedules at market prices, before trading costs
+  const totalGrossRevenue = results.reduce((sum, r) => sum + (r.grossRevenue ?? r.totalRevenue), 0)
+  const totalTradingCosts = totalGrossRevenue - totalRevenue
   const avgRevenue = totalRevenue / results.length
   const bestPeriod = results.reduce((best, current) => 
     current.totalRevenue > best.totalRevenue ? current : best
@@ -51,9 +55,45 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
     current.totalRevenue < worst.totalRevenue ? current : worst
   )
   const profitablePeriods = results.filter(r => r.totalRevenue > 0).length
+  // Periods whose linear program was too large to solve at once
+  const windowedPeriods = results.filter(r => r.windowHours).length
   const totalEnergy = results.reduce((sum, r) => sum + r.totalEnergyDischarged, 0)
   const revenuePerMWh = totalEnergy > 0 ? totalRevenue / totalEnergy * 1000 : 0
 
+  // Capture rate: share of the perfect-foresight optimum the strategy realized, over the periods that have a
+  // benchmark (missing when the backtest ran without it). Benchmarks solved in daily windows fall short of the
+  // optimum, so their capture rate reads high
+  const benchmarkedResults = results.filter(r => r.perfectForesightRevenue != null)
+  const windowedBenchmarks = benchmarkedResults.filter(r => r.benchmarkMethod === 'linear_programming_windows').length
+  const totalPerfectForesightRevenue = benchmarkedResults.reduce((sum, r) => sum + r.perfectForesightRevenue, 0)
+  const benchmarkedRevenue = benchmarkedResults.reduce((sum, r) => sum + r.totalRevenue, 0)
+  const overallCaptureRate = benchmarkedResults.length === 0
+    ? null
+    : totalPerfectForesightRevenue > 0 ? benchmarkedRevenue / totalPerfectForesightRevenue : 0
+  const captureRateText = overallCaptureRate === null ? '–' : formatPercentage(overallCaptureRate)
+
+  // Behind-the-meter peak shaving: peak grid import per billing month, with and without the battery
+  const monthlyPeaks = Object.values(results.flatMap(r => (r.siteSummary?.peaks || []).map(peak => ({ ...peak, period: peak.period ?? r.period })))
+    .reduce((months, peak) => {
+      const month = months[peak.period] || { period: peak.period, peakDemand: 0, baselinePeakDemand: 0, savings: 0 }
+      month.peakDemand = Math.max(month.peakDemand, peak.peakDemand)
+      month.baselinePeakDemand = Math.max(month.baselinePeakDemand, peak.baselinePeakDemand)
+      month.savings += peak.baselineDemandCharge - peak.demandCharge
+      months[peak.period] = month
+      return months
+    }, {}))
+    .sort((a, b) => String(a.period).localeCompare(String(b.period)))
+  const hasDemandCharges = results.some(r => r.siteSummary?.demandCharge > 0)
+
+  // Walk-forward: revenue the forecasts promised against what the schedules earned at realized prices,
+  // and the forecast errors averaged over the days
+  const forecastResults = results.filter(r => r.forecastAccuracy)
+  const totalForecastRevenue = forecastResults.reduce((sum, r) => sum + r.forecastRevenue, 0)
+  const averageForecastError = (metric) => {
+    const values = forecastResults.map(r => r.forecastAccuracy[metric]).filter(value => value !== null)
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null
+  }
+
   // Risk-adjusted return calculation
   const revenues = results.map(r => r.totalRevenue)
   const avgRevenueForRisk = revenues.reduce((a, b) => a + b, 0) / revenues.length
@@ -92,9 +132,48 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
           <p className="text-muted-foreground mt-1">
             {formatDate(dateRange.start)} to {formatDate(dateRange.end)} • {results.length} periods analyzed
           </p>
+          {cancelled && (
+            <p className="text-sm font-medium text-amber-600">
+              Partial results: backtest cancelled after {results.length} of {totalPeriods} periods
+            </p>
+          )}
           <p className="text-muted-foreground text-sm">
             Categorization Method: <span className="font-medium">{categorizationMethod}</span>
           </p>
+          {optimizationMethod && (
+            <p className="text-muted-foreground text-sm">
+              Optimization Method: <span className="font-medium">{optimizationMethod}</span>
+            </p>
+          )}
+          {windowedPeriods > 0 && (
+            <p className="text-sm font-medium text-amber-600">
+              {windowedPeriods} of {results.length} periods were too large for one linear program and were solved in daily windows chained on SoC
+            </p>
+          )}
+          {chainSoC && (
+            <p className="text-muted-foreground text-sm">
+              SoC Mode: <span className="font-medium">Chained (each period starts from the previous end SoC)</span>
+            </p>
+          )}
+          {agingModel && (
+            <p className="text-muted-foreground text-sm">
+              Capacity Fade: <span className="font-medium">
+                SoH {formatPercentage(results[0].stateOfHealth)} → {formatPercentage(results[results.length - 1].stateOfHealthEnd)}
+              </span>
+            </p>
+          )}
+          {walkForward && (
+            <p className="text-muted-foreground text-sm">
+              Walk-Forward: <span className="font-medium">
+                out-of-sample, each day forecast from the previous {walkForward.trainingDays} days ({walkForward.forecastModel})
+              </span>
+            </p>
+          )}
+          {seed !== undefined && (
+            <p className="text-muted-foreground text-sm">
+              Random Seed: <span className="font-medium">{seed}</span>
+            </p>
+          )}
         </div>
       </div>
 
@@ -104,8 +183,9 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
           <CardContent className="p-6">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-sm opacity-90">Total Revenue</p>
+                <p className="text-sm opacity-90">Net Revenue</p>
                 <p className="text-2xl font-bold">{formatCurrency(totalRevenue)}</p>
+                <p className="text-xs opacity-90">Gross {formatCurrency(totalGrossRevenue)}</p>
               </div>
               <Euro className="h-8 w-8 opacity-80" />
             </div>
@@ -187,6 +267,30 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
                 <p className="text-sm text-purple-700">Profitable Periods</p>
               </div>
             </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="text-center p-4 bg-teal-50 rounded-lg">
+                <p className="text-2xl font-bold text-teal-600">
+                  {captureRateText}
+                </p>
+                <p className="text-sm text-teal-700">Capture Rate</p>
+                {benchmarkedResults.length > 0 && benchmarkedResults.length < results.length && (
+                  <p className="text-xs text-teal-700">
+                    {benchmarkedResults.length} of {results.length} periods benchmarked
+                  </p>
+                )}
+                {windowedBenchmarks > 0 && (
+                  <p className="text-xs text-teal-700">
+                    {windowedBenchmarks} benchmarked in daily windows (below the true optimum)
+                  </p>
+                )}
+              </div>
+              <div className="text-center p-4 bg-gray-50 rounded-lg">
+                <p className="text-2xl font-bold text-gray-600">
+                  {benchmarkedResults.length === 0 ? '–' : formatCurrency(totalPerfectForesightRevenue)}
+                </p>
+                <p className="text-sm text-gray-700">Perfect-Foresight Revenue</p>
+              </div>
+            </div>
           </CardContent>
         </Card>
 
@@ -213,12 +317,20 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
                   pointRadius: 4,
                   tension: 0.3,
                   fill: true
+                }, {
+                  label: 'Perfect Foresight (€)',
+                  data: results.map(r => r.perfectForesightRevenue),
+                  borderColor: '#95a5a6',
+                  borderDash: [5, 5],
+                  pointRadius: 0,
+                  tension: 0.3,
+                  fill: false
                 }]
               }}
               options={{
                 responsive: true,
                 plugins: {
-                  legend: { display: false }
+                  legend: { display: true }
                 },
                 scales: {
                   y: { 
@@ -233,6 +345,170 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
         </Card>
       </div>
 
+      {/* Revenue Stack Chart */}
+      {results.some(r => r.revenueStack) && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <BarChart3 className="h-5 w-5" />
+              Revenue Stack
+            </CardTitle>
+            <CardDescription>
+              Energy arbitrage, reserve capacity, peak shaving, stored-energy value and degradation cost per period
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <RevenueStackChart stacks={results.map(r => r.revenueStack)} labels={results.map(r => r.period)} title="" />
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Walk-Forward Forecast Accuracy */}
+      {forecastResults.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <TrendingUp className="h-5 w-5" />
+              Walk-Forward Forecasts
+            </CardTitle>
+            <CardDescription>
+              Schedules planned on price forecasts and settled at realized prices; net revenue and capture rate above
+              are out-of-sample
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              <div className="text-center p-4 bg-gray-50 rounded-lg">
+                <p className="text-2xl font-bold text-gray-600">{formatCurrency(totalForecastRevenue)}</p>
+                <p className="text-sm text-gray-700">Planned Revenue</p>
+              </div>
+              <div className="text-center p-4 bg-green-50 rounded-lg">
+                <p className="text-2xl font-bold text-green-600">
+                  {formatCurrency(forecastResults.reduce((sum, r) => sum + r.totalRevenue, 0))}
+                </p>
+                <p className="text-sm text-green-700">Realized Revenue</p>
+              </div>
+              <div className="text-center p-4 bg-blue-50 rounded-lg">
+                <p className="text-2xl font-bold text-blue-600">
+                  {formatNumber(averageForecastError('mae'), 2)} / {formatNumber(averageForecastError('rmse'), 2)}
+                </p>
+                <p className="text-sm text-blue-700">Avg MAE / RMSE (€/MWh)</p>
+              </div>
+              <div className="text-center p-4 bg-purple-50 rounded-lg">
+                <p className="text-2xl font-bold text-purple-600">
+                  {averageForecastError('mape') === null ? '–' : formatPercentage(averageForecastError('mape'))}
+                </p>
+                <p className="text-sm text-purple-700">Avg MAPE</p>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Peak Shaving Table */}
+      {hasDemandCharges && monthlyPeaks.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Table className="h-5 w-5" />
+              Peak Shaving
+            </CardTitle>
+            <CardDescription>
+              Peak grid import per billing month against the same site without a battery
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 pr-4">Month</th>
+                    <th className="py-2 pr-4 text-right">Peak without Battery</th>
+                    <th className="py-2 pr-4 text-right">Peak with Battery</th>
+                    <th className="py-2 pr-4 text-right">Reduction</th>
+                    <th className="py-2 text-right">Demand Charges Saved</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {monthlyPeaks.map(month => (
+                    <tr key={month.period} className="border-b last:border-0">
+                      <td className="py-2 pr-4 font-medium">{month.period}</td>
+                      <td className="py-2 pr-4 text-right">{formatNumber(month.baselinePeakDemand)} MW</td>
+                      <td className="py-2 pr-4 text-right">{formatNumber(month.peakDemand)} MW</td>
+                      <td className="py-2 pr-4 text-right">
+                        {formatNumber(month.baselinePeakDemand - month.peakDemand)} MW
+                        {month.baselinePeakDemand > 0 && ` (${formatPercentage(1 - month.peakDemand / month.baselinePeakDemand)})`}
+                      </td>
+                      <td className="py-2 text-right">{formatCurrency(month.savings)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* State of Health Chart */}
+      {agingModel && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Battery className="h-5 w-5" />
+              State of Health
+            </CardTitle>
+            <CardDescription>
+              Usable capacity after cycling ({formatNumber(agingModel.cycleLife, 0)} cycles to {formatPercentage(agingModel.endOfLifeSoH)}) and calendar ageing ({formatPercentage(agingModel.calendarFadePerYear)} per year){agingModel.ratedThroughput > 0 && `, plus throughput wear (${formatNumber(agingModel.ratedThroughput, 0)} MWh to end of life)`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Line
+              data={{
+                labels: results.map(r => r.period),
+                datasets: [{
+                  label: 'State of Health (%)',
+                  data: results.map(r => r.stateOfHealthEnd * 100),
+                  borderColor: '#27ae60',
+                  backgroundColor: 'rgba(39, 174, 96, 0.1)',
+                  pointRadius: 3,
+                  tension: 0.3,
+                  fill: true,
+                  yAxisID: 'y'
+                }, {
+                  label: 'Cumulative Full Cycles',
+                  data: results.map(r => r.cumulativeCycles),
+                  borderColor: '#95a5a6',
+                  borderDash: [5, 5],
+                  pointRadius: 0,
+                  tension: 0.3,
+                  fill: false,
+                  yAxisID: 'y1'
+                }]
+              }}
+              options={{
+                responsive: true,
+                plugins: {
+                  legend: { display: true }
+                },
+                scales: {
+                  y: {
+                    title: { display: true, text: 'State of Health (%)' },
+                    position: 'left'
+                  },
+                  y1: {
+                    title: { display: true, text: 'Full Cycles' },
+                    position: 'right',
+                    beginAtZero: true,
+                    grid: { drawOnChartArea: false }
+                  },
+                  x: { title: { display: true, text: 'Period' } }
+                }
+              }}
+            />
+          </CardContent>
+        </Card>
+      )}
+
       {/* Controls */}
       <div className="flex flex-col sm:flex-row gap-4 items-center justify-between">
         <div className="flex items-center gap-4">
@@ -305,20 +581,43 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
                   <div className="font-bold">
                     {formatCurrency(r.totalRevenue)}
                   </div>
+                  {r.tradingCosts > 0 && (
+                    <div className="text-[#555555]">
+                      Gross {formatCurrency(r.grossRevenue)}
+                    </div>
+                  )}
                   <div className="text-[#555555]">
                     {formatNumber(r.totalEnergyDischarged)} MWh
                   </div>
+                  {r.perfectForesightRevenue != null && (
+                    <div className="text-[#555555]">
+                      {formatPercentage(r.captureRate)} captured
+                    </div>
+                  )}
+                  {chainSoC && r.finalSoC !== undefined && (
+                    <div className="text-[#555555]">
+                      SoC {formatNumber(r.initialSoC, 1)} → {formatNumber(r.finalSoC, 1)}
+                    </div>
+                  )}
                 </div>
               </motion.div>
             ))}
           </div>
 
           {/* Summary Stats */}
-          <div className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-3">
+          <div className="mt-4 grid grid-cols-2 sm:grid-cols-7 gap-3">
             <div className="amiga-window p-2">
-              <div className="text-xs font-bold text-[#0055AA]">Total Revenue</div>
+              <div className="text-xs font-bold text-[#0055AA]">Net Revenue</div>
               <div className="text-xs">{formatCurrency(totalRevenue)}</div>
             </div>
+            <div className="amiga-window p-2">
+              <div className="text-xs font-bold text-[#0055AA]">Gross Revenue</div>
+              <div className="text-xs">{formatCurrency(totalGrossRevenue)}</div>
+            </div>
+            <div className="amiga-window p-2">
+              <div className="text-xs font-bold text-[#0055AA]">Trading Costs</div>
+              <div className="text-xs">{formatCurrency(totalTradingCosts)}</div>
+            </div>
             <div className="amiga-window p-2">
               <div className="text-xs font-bold text-[#0055AA]">Avg Revenue</div>
               <div className="text-xs">{formatCurrency(avgRevenue)}</div>
@@ -331,6 +630,10 @@ const BacktestSummary = ({ backtestResults, onShowPeriodDetail }) => {
               <div className="text-xs font-bold text-[#0055AA]">Total Energy</div>
               <div className="text-xs">{formatNumber(totalEnergy / 1000, 1)} GWh</div>
             </div>
+            <div className="amiga-window p-2">
+              <div className="text-xs font-bold text-[#0055AA]">Capture Rate</div>
+              <div className="text-xs">{captureRateText}</div>
+            </div>
           </div>
         </div>
       </div>
@@ -8,9 +8,26 @@ import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, LineElement,
 ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend, Filler);
 
 
+// Point color for a 1-indexed price regime: blue/orange/red for three regimes, a blue-to-red scale otherwise.
+const getCategoryColor = (cat, numStates) => {
+    if (numStates === 3) return cat === 1 ? '#3498db' : cat === 2 ? '#f39c12' : '#e74c3c';
+    const hue = numStates > 1 ? 210 - 210 * (cat - 1) / (numStates - 1) : 210;
+    return `hsl(${hue}, 70%, 50%)`;
+};
+
+// X-axis labels for a series with time steps of dt hours: hour numbers for hourly data,
+// elapsed time as h:mm for sub-hourly data.
+const getTimeLabels = (length, dt) => Array.from({ length }, (_, i) => {
+    if (dt === 1) return i + 1;
+    const minutes = Math.round(i * dt * 60);
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+});
+
+const getTimeAxisTitle = (dt) => dt === 1 ? 'Hour' : 'Time (h:mm)';
+
 // Component for displaying Electricity Prices.
-export const PriceChart = ({ data, priceCategories, title }) => {
-    const hours = Array.from({ length: data.length }, (_, i) => i + 1);
+export const PriceChart = ({ data, priceCategories, title, numStates = 3, dt = 1 }) => {
+    const hours = getTimeLabels(data.length, dt);
     const chartData = {
         labels: hours,
         datasets: [{
@@ -18,10 +35,7 @@ export const PriceChart = ({ data, priceCategories, title }) => {
             data: data,
             borderColor: '#667eea',
             backgroundColor: 'rgba(102, 126, 234, 0.1)',
-            pointBackgroundColor: hours.map((_, i) => {
-                const cat = priceCategories[i];
-                return cat === 1 ? '#3498db' : cat === 2 ? '#f39c12' : '#e74c3c';
-            }),
+            pointBackgroundColor: hours.map((_, i) => getCategoryColor(priceCategories[i], numStates)),
             pointBorderColor: '#fff',
             pointBorderWidth: 2,
             pointRadius: 4,
@@ -37,14 +51,14 @@ export const PriceChart = ({ data, priceCategories, title }) => {
         },
         scales: {
             y: { beginAtZero: false, title: { display: true, text: 'Price (€/MWh)' } },
-            x: { title: { display: true, text: 'Hour' } }
+            x: { title: { display: true, text: getTimeAxisTitle(dt) } }
         }
     };
     return <Line data={chartData} options={options} />;
 };
 
 // Component for displaying Battery State of Charge.
-export const SoCChart = ({ data, title }) => {
+export const SoCChart = ({ data, title, dt = 1 }) => {
     // Debug: Log SoC data being passed to chart
     console.log('SoCChart Debug:');
     console.log('  Data length:', data.length);
@@ -54,7 +68,7 @@ export const SoCChart = ({ data, title }) => {
     console.log('  Max SoC:', Math.max(...data));
     console.log('  SoC range:', Math.max(...data) - Math.min(...data));
     
-    const hours = Array.from({ length: data.length }, (_, i) => i + 1);
+    const hours = getTimeLabels(data.length, dt);
     const chartData = {
         labels: hours,
         datasets: [{
@@ -78,28 +92,29 @@ export const SoCChart = ({ data, title }) => {
         },
         scales: {
             y: { beginAtZero: true, title: { display: true, text: 'Energy (MWh)' } },
-            x: { title: { display: true, text: 'Hour' } }
+            x: { title: { display: true, text: getTimeAxisTitle(dt) } }
         }
     };
     return <Line data={chartData} options={options} />;
 };
 
 // Component for displaying Battery Charging/Discharging Power.
-export const PowerChart = ({ charging, discharging, title }) => {
-    const hours = Array.from({ length: charging.length }, (_, i) => i + 1);
+// Schedules hold energy per step (MWh), so power is the energy divided by the step length.
+export const PowerChart = ({ charging, discharging, title, dt = 1 }) => {
+    const hours = getTimeLabels(charging.length, dt);
     const chartData = {
         labels: hours,
         datasets: [
             {
                 label: 'Charging Power (MW)',
-                data: charging.map(p => -p), // Negative values for charging
+                data: charging.map(p => -p / dt), // Negative values for charging
                 backgroundColor: 'rgba(52, 152, 219, 0.7)',
                 borderColor: '#3498db',
                 borderWidth: 1
             },
             {
                 label: 'Discharging Power (MW)',
-                data: discharging,
+                data: discharging.map(p => p / dt),
                 backgroundColor: 'rgba(231, 76, 60, 0.7)',
                 borderColor: '#e74c3c',
                 borderWidth: 1
@@ -114,19 +129,19 @@ export const PowerChart = ({ charging, discharging, title }) => {
         },
         scales: {
             y: { title: { display: true, text: 'Power (MW)' } },
-            x: { title: { display: true, text: 'Hour' } }
+            x: { title: { display: true, text: getTimeAxisTitle(dt) } }
         }
     };
     return <Bar data={chartData} options={options} />;
 };
 
-// Component for displaying Hourly Revenue.
-export const RevenueChart = ({ data, title }) => {
-    const hours = Array.from({ length: data.length }, (_, i) => i + 1);
+// Component for displaying Revenue per time step.
+export const RevenueChart = ({ data, title, dt = 1 }) => {
+    const hours = getTimeLabels(data.length, dt);
     const chartData = {
         labels: hours,
         datasets: [{
-            label: 'Hourly Revenue (€)',
+            label: dt === 1 ? 'Hourly Revenue (€)' : `Revenue per ${dt * 60} min (€)`,
             data: data,
             backgroundColor: data.map(r => r >= 0 ? 'rgba(39, 174, 96, 0.7)' : 'rgba(231, 76, 60, 0.7)'),
             borderColor: data.map(r => r >= 0 ? '#27ae60' : '#e74c3c'),
@@ -141,8 +156,188 @@ export const RevenueChart = ({ data, title }) => {
         },
         scales: {
             y: { title: { display: true, text: 'Revenue (€)' } },
-            x: { title: { display: true, text: 'Hour' } }
+            x: { title: { display: true, text: getTimeAxisTitle(dt) } }
+        }
+    };
+    return <Bar data={chartData} options={options} />;
+};
+// Labels and colors of the revenue stack parts returned by BatteryOptimizer.getRevenueStack.
+const REVENUE_STACK_PARTS = [
+    { key: 'energyArbitrage', label: 'Energy Arbitrage', color: 'rgba(102, 126, 234, 0.8)' },
+    { key: 'reserveCapacity', label: 'Reserve Capacity', color: 'rgba(39, 174, 96, 0.8)' },
+    { key: 'peakShaving', label: 'Peak Shaving', color: 'rgba(26, 188, 156, 0.8)' },
+    { key: 'degradationCost', label: 'Degradation Cost', color: 'rgba(231, 76, 60, 0.8)' }
+];
+
+// Component for displaying the revenue stack of one or more results as stacked bars.
+// stacks holds one revenue stack per label.
+export const RevenueStackChart = ({ stacks, labels, title }) => {
+    const chartData = {
+        labels,
+        datasets: REVENUE_STACK_PARTS.map(part => ({
+            label: `${part.label} (€)`,
+            data: stacks.map(stack => (stack && stack[part.key]) || 0),
+            backgroundColor: part.color,
+            borderWidth: 0
+        }))
+    };
+    const options = {
+        responsive: true,
+        plugins: {
+            title: { display: true, text: title },
+            legend: { display: true }
+        },
+        scales: {
+            y: { stacked: true, title: { display: true, text: 'Revenue (€)' } },
+            x: { stacked: true }
+        }
+    };
+    return <Bar data={chartData} options={options} />;
+};
+
+// Component for displaying reserved frequency-reserve power (MW) per step.
+export const ReserveChart = ({ reserveUp, reserveDown, title, dt = 1 }) => {
+    const hours = getTimeLabels(reserveUp.length, dt);
+    const chartData = {
+        labels: hours,
+        datasets: [
+            {
+                label: 'Upward Reserve (MW)',
+                data: reserveUp,
+                backgroundColor: 'rgba(39, 174, 96, 0.7)',
+                borderColor: '#27ae60',
+                borderWidth: 1
+            },
+            {
+                label: 'Downward Reserve (MW)',
+                data: reserveDown.map(p => -p), // Negative values for downward reserve
+                backgroundColor: 'rgba(155, 89, 182, 0.7)',
+                borderColor: '#9b59b6',
+                borderWidth: 1
+            }
+        ]
+    };
+    const options = {
+        responsive: true,
+        plugins: {
+            title: { display: true, text: title },
+            legend: { display: true }
+        },
+        scales: {
+            y: { title: { display: true, text: 'Reserved Power (MW)' } },
+            x: { title: { display: true, text: getTimeAxisTitle(dt) } }
+        }
+    };
+    return <Bar data={chartData} options={options} />;
+};
+
+const ENERGY_FLOW_PARTS = [
+    { key: 'pvToLoad', label: 'PV → Load', color: 'rgba(241, 196, 15, 0.8)' },
+    { key: 'pvToBattery', label: 'PV → Battery', color: 'rgba(243, 156, 18, 0.8)' },
+    { key: 'pvToGrid', label: 'PV → Grid', color: 'rgba(230, 126, 34, 0.5)' },
+    { key: 'batteryToLoad', label: 'Battery → Load', color: 'rgba(39, 174, 96, 0.8)' },
+    { key: 'batteryToGrid', label: 'Battery → Grid', color: 'rgba(39, 174, 96, 0.4)' },
+    { key: 'gridToLoad', label: 'Grid → Load', color: 'rgba(102, 126, 234, 0.8)' },
+    { key: 'gridToBattery', label: 'Grid → Battery', color: 'rgba(155, 89, 182, 0.8)' }
+];
+
+// Component for displaying the behind-the-meter energy flows (from getEnergyFlows) as stacked bars in MW
+export const EnergyFlowChart = ({ flows, title, dt = 1 }) => {
+    const hours = getTimeLabels(flows.pvToLoad.length, dt);
+    const chartData = {
+        labels: hours,
+        datasets: ENERGY_FLOW_PARTS.map(part => ({
+            label: part.label,
+            data: flows[part.key].map(energy => energy / dt), // MWh per step to MW
+            backgroundColor: part.color
+        }))
+    };
+    const options = {
+        responsive: true,
+        plugins: {
+            title: { display: true, text: title },
+            legend: { display: true }
+        },
+        scales: {
+            x: { stacked: true, title: { display: true, text: getTimeAxisTitle(dt) } },
+            y: { stacked: true, title: { display: true, text: 'Power (MW)' } }
+        }
+    };
+    return <Bar data={chartData} options={options} />;
+};
+
+// Component for displaying the distribution of scenario revenues as a histogram of scenario probability
+export const RevenueDistributionChart = ({ revenues, weights, title, bins = 10 }) => {
+    const min = Math.min(...revenues);
+    const max = Math.max(...revenues);
+    const width = (max - min) / bins || 1;
+    const probabilities = Array(bins).fill(0);
+    revenues.forEach((revenue, k) => {
+        const bin = Math.min(bins - 1, Math.floor((revenue - min) / width));
+        probabilities[bin] += (weights ? weights[k] : 1 / revenues.length) * 100;
+    });
+    const chartData = {
+        labels: probabilities.map((_, i) => `€${Math.round(min + i * width)}–${Math.round(min + (i + 1) * width)}`),
+        datasets: [{
+            label: 'Probability (%)',
+            data: probabilities,
+            backgroundColor: 'rgba(102, 126, 234, 0.7)',
+            borderColor: '#667eea',
+            borderWidth: 1
+        }]
+    };
+    const options = {
+        responsive: true,
+        plugins: {
+            title: { display: true, text: title },
+            legend: { display: false }
+        },
+        scales: {
+            y: { beginAtZero: true, title: { display: true, text: 'Probability (%)' } },
+            x: { title: { display: true, text: 'Scenario Revenue (€)' } }
         }
     };
     return <Bar data={chartData} options={options} />;
-};
\ No newline at end of file
+};
+
+const FORECAST_COLORS = ['#e67e22', '#27ae60', '#9b59b6', '#e74c3c'];
+
+// Component for comparing price forecasts (from forecasting.js) with the realized prices
+export const ForecastChart = ({ actual, forecasts, title, dt = 1 }) => {
+    const hours = getTimeLabels(actual.length, dt);
+    const chartData = {
+        labels: hours,
+        datasets: [
+            {
+                label: 'Actual (€/MWh)',
+                data: actual,
+                borderColor: '#667eea',
+                backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                borderWidth: 3,
+                pointRadius: 2,
+                tension: 0.3
+            },
+            ...forecasts.map((forecast, i) => ({
+                label: forecast.label,
+                data: forecast.values,
+                borderColor: FORECAST_COLORS[i % FORECAST_COLORS.length],
+                backgroundColor: 'transparent',
+                borderDash: [6, 3],
+                pointRadius: 0,
+                tension: 0.3
+            }))
+        ]
+    };
+    const options = {
+        responsive: true,
+        plugins: {
+            title: { display: true, text: title },
+            legend: { display: true }
+        },
+        scales: {
+            y: { beginAtZero: false, title: { display: true, text: 'Price (€/MWh)' } },
+            x: { title: { display: true, text: getTimeAxisTitle(dt) } }
+        }
+    };
+    return <Line data={chartData} options={options} />;
+};
@@ -0,0 +1,101 @@
+import React from 'react'
+import { Layers, Plus, X } from 'lucide-react'
+
+// Size and efficiency fields of a further fleet asset; everything else follows the main battery parameters
+const ASSET_FIELDS = [
+  { key: 'pChargeMax', label: 'Charge MW' },
+  { key: 'pDischargeMax', label: 'Discharge MW' },
+  { key: 'socMin', label: 'Min SoC MWh' },
+  { key: 'socMax', label: 'Max SoC MWh' },
+  { key: 'etaCharge', label: 'η charge', percent: true },
+  { key: 'etaDischarge', label: 'η discharge', percent: true }
+]
+
+// Fleet (portfolio) settings of the manual form: the battery configured on the form is the first asset,
+// each further asset overrides its size and efficiencies, and an optional grid limit caps the fleet's net flow.
+const FleetSettings = ({ fleet, onChange }) => {
+  const updateAsset = (index, updates) => {
+    onChange({ assets: fleet.assets.map((asset, i) => i === index ? { ...asset, ...updates } : asset) })
+  }
+
+  const addAsset = () => {
+    const template = fleet.assets[fleet.assets.length - 1] || { pChargeMax: 5, pDischargeMax: 5, socMin: 2, socMax: 20, etaCharge: 0.9, etaDischarge: 0.9 }
+    onChange({ assets: [...fleet.assets, { ...template, name: `Battery ${fleet.assets.length + 2}` }] })
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="text-xs font-bold flex items-center gap-1">
+        <Layers className="h-3 w-3" />
+        <input
+          type="checkbox"
+          checked={fleet.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        Fleet (several batteries)
+      </label>
+      {fleet.enabled && (
+        <div className="space-y-2">
+          <label className="text-xs block">
+            Shared grid limit (MW, empty for none)
+            <input
+              type="number"
+              min={0}
+              value={fleet.gridLimit}
+              onChange={(e) => onChange({ gridLimit: e.target.value })}
+              className="amiga-input w-full text-xs"
+            />
+          </label>
+          <p className="text-xs text-[#555555]">Battery 1 is the battery configured above</p>
+          {fleet.assets.map((asset, index) => (
+            <div key={index} className="border border-[#AAAAAA] p-2 space-y-1">
+              <div className="flex items-center gap-1">
+                <input
+                  type="text"
+                  value={asset.name}
+                  onChange={(e) => updateAsset(index, { name: e.target.value })}
+                  className="amiga-input flex-1 text-xs"
+                />
+                <button
+                  className="amiga-button text-xs"
+                  onClick={() => onChange({ assets: fleet.assets.filter((_, i) => i !== index) })}
+                  title="Remove asset"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </div>
+              <div className="grid grid-cols-3 gap-1">
+                {ASSET_FIELDS.map(({ key, label, percent }) => (
+                  <label key={key} className="text-xs block">
+                    {label}
+                    <input
+                      type="number"
+                      min={0}
+                      max={percent ? 100 : undefined}
+                      value={percent ? Math.round(asset[key] * 1000) / 10 : asset[key]}
+                      onChange={(e) => {
+                        const value = Math.max(0, parseFloat(e.target.value) || 0)
+                        updateAsset(index, { [key]: percent ? Math.min(100, value) / 100 : value })
+                      }}
+                      className="amiga-input w-full text-xs"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+          <button className="amiga-button text-xs" onClick={addAsset}>
+            <Plus className="h-3 w-3 mr-1" />
+            Add battery
+          </button>
+          <p className="text-xs text-[#555555]">
+            Assets are optimized on their own; if together they exceed the grid limit, the fleet is re-optimized
+            jointly on linear programming
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FleetSettings
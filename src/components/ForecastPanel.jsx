@@ -0,0 +1,150 @@
+import React, { useState } from 'react'
+import { useOptimizationStore } from '../store/optimizationStore'
+import { LineChart, Play } from 'lucide-react'
+import { formatNumber, formatPercentage } from '../lib/utils'
+import { loadPolishData } from '../utils/dataLoaders.js'
+import { FORECAST_MODELS, forecastPrices, evaluateForecast, getForecastWindow } from '../utils/forecasting.js'
+import { ForecastChart } from './ChartComponents'
+
+// Day-ahead forecast check on the Polish market data: every forecast model predicts one day from the weeks
+// before it, and is scored against the prices that were realized that day.
+const ForecastPanel = () => {
+  const {
+    endDate,
+    polishData,
+    setPolishData,
+    categorizationMethod,
+    categorizationOptions
+  } = useOptimizationStore()
+  const [forecastDate, setForecastDate] = useState(endDate)
+  const [lookbackWeeks, setLookbackWeeks] = useState(4)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState(null)
+  const [result, setResult] = useState(null)
+
+  const runForecast = async () => {
+    setRunning(true)
+    setError(null)
+    try {
+      let data = polishData
+      if (!data || data.length === 0) {
+        data = await loadPolishData()
+        setPolishData(data)
+      }
+
+      const { history, actual, timeStep } = getForecastWindow(data, new Date(`${forecastDate}T00:00:00`), lookbackWeeks * 7)
+      if (actual.length === 0) throw new Error(`No prices on ${forecastDate}`)
+      if (history.length === 0) throw new Error(`No prices in the ${lookbackWeeks} weeks before ${forecastDate}`)
+
+      const options = { dt: timeStep, categorizationMethod, categorizationOptions }
+      const models = Object.entries(FORECAST_MODELS).map(([model, label]) => {
+        const forecast = forecastPrices(history, actual.length, model, options)
+        return { model, label, forecast: forecast.forecast, metrics: evaluateForecast(forecast.forecast, actual, forecast) }
+      })
+      setResult({ date: forecastDate, actual, timeStep, models })
+    } catch (forecastError) {
+      console.error('Forecast failed:', forecastError)
+      setError(forecastError.message)
+      setResult(null)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  return (
+    <div className="amiga-window">
+      <div className="amiga-titlebar">
+        <span>Price Forecast</span>
+        <div className="amiga-gadget">×</div>
+      </div>
+      <div className="p-3 space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-2 items-end">
+          <label className="text-xs block">
+            Forecast day
+            <input
+              type="date"
+              value={forecastDate}
+              onChange={(e) => setForecastDate(e.target.value)}
+              className="amiga-input w-full text-xs"
+            />
+          </label>
+          <label className="text-xs block">
+            History (weeks)
+            <input
+              type="number"
+              min={1}
+              max={52}
+              value={lookbackWeeks}
+              onChange={(e) => setLookbackWeeks(Math.min(52, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+              className="amiga-input w-full text-xs"
+            />
+          </label>
+          <button
+            onClick={runForecast}
+            disabled={running || !forecastDate}
+            className="amiga-button primary w-full"
+          >
+            {running ? (
+              <>
+                <div className="animate-spin h-4 w-4 mr-2 border-2 border-white border-t-transparent" />
+                Forecasting...
+              </>
+            ) : (
+              <>
+                <Play className="h-4 w-4 mr-2" />
+                Run Forecast
+              </>
+            )}
+          </button>
+        </div>
+        <p className="text-xs text-[#555555]">
+          Each model forecasts the day from the history before it and is scored against the realized prices;
+          the HMM uses the selected price categorization. MAPE skips prices within 1 €/MWh of zero, and coverage
+          is the share of prices inside the 90% interval.
+        </p>
+
+        {error && <div className="text-xs text-red-600">{error}</div>}
+
+        {result && (
+          <div className="space-y-3">
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-1 pr-4">
+                      <LineChart className="h-3 w-3 inline mr-1" />
+                      Model
+                    </th>
+                    <th className="py-1 pr-4 text-right">MAE (€/MWh)</th>
+                    <th className="py-1 pr-4 text-right">RMSE (€/MWh)</th>
+                    <th className="py-1 pr-4 text-right">MAPE</th>
+                    <th className="py-1 text-right">Coverage</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.models.map(({ model, label, metrics }) => (
+                    <tr key={model} className="border-b">
+                      <td className="py-1 pr-4 font-medium">{label}</td>
+                      <td className="py-1 pr-4 text-right">{formatNumber(metrics.mae, 2)}</td>
+                      <td className="py-1 pr-4 text-right">{formatNumber(metrics.rmse, 2)}</td>
+                      <td className="py-1 pr-4 text-right">{metrics.mape === null ? '–' : formatPercentage(metrics.mape)}</td>
+                      <td className="py-1 text-right">{metrics.coverage === null ? '–' : formatPercentage(metrics.coverage)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <ForecastChart
+              actual={result.actual}
+              forecasts={result.models.map(({ label, forecast }) => ({ label, values: forecast }))}
+              title={`Day-Ahead Forecasts for ${result.date}`}
+              dt={result.timeStep}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ForecastPanel
@@ -8,23 +8,70 @@ import { Slider } from './ui/slider'
 import { useOptimizationStore } from '../store/optimizationStore'
 import { Battery, Zap, TrendingUp, Settings, BarChart3 } from 'lucide-react'
 import { formatNumber } from '../lib/utils'
+import ReserveSettings from './ReserveSettings'
+import SiteSettings from './SiteSettings'
+import FleetSettings from './FleetSettings'
+import StochasticSettings from './StochasticSettings'
+
+// Per-MWh trading cost inputs; VAT is entered separately as a percentage
+const TRADING_COST_FIELDS = [
+  { key: 'importTariff', label: 'Import tariff' },
+  { key: 'exportTariff', label: 'Export tariff' },
+  { key: 'exchangeFee', label: 'Exchange fee' },
+  { key: 'bidAskSpread', label: 'Bid/ask spread' },
+  { key: 'exciseDuty', label: 'Excise (imports)' }
+]
 
 const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
   const {
     priceData,
-    pMax,
+    timeStep,
+    pChargeMax,
+    pDischargeMax,
     socMin,
     socMax,
-    efficiency,
+    etaCharge,
+    etaDischarge,
+    selfDischargeRate,
+    auxiliaryLoad,
+    degradationCostPerCycle,
+    degradationExponent,
+    tradingCosts,
+    reserve,
+    fleet,
+    stochastic,
+    site,
+    initialSoCPercent,
+    terminalSoCMode,
+    terminalSoCPercent,
     categorizationMethod,
     categorizationOptions,
     setPriceData,
-    setPMax,
+    setTimeStep,
+    setPChargeMax,
+    setPDischargeMax,
     setSocMin,
     setSocMax,
-    setEfficiency,
+    setEtaCharge,
+    setEtaDischarge,
+    setSelfDischargeRate,
+    setAuxiliaryLoad,
+    setDegradationCostPerCycle,
+    setDegradationExponent,
+    setTradingCosts,
+    setReserve,
+    setFleet,
+    setStochastic,
+    setSite,
+    setInitialSoCPercent,
+    setTerminalSoCMode,
+    setTerminalSoCPercent,
     setCategorizationMethod,
     setCategorizationOptions,
+    optimizationMethod,
+    optimizationOptions,
+    setOptimizationMethod,
+    setOptimizationOptions,
     loading
   } = useOptimizationStore()
 
@@ -33,6 +80,29 @@ const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
     setter(value[0])
   }
 
+  // Reserve and the site mode need the linear program; switching either on selects it
+  const linearProgramOnly = reserve.enabled || site.enabled
+  const withLinearProgram = (setter) => (updates) => {
+    setter(updates)
+    if (updates.enabled) setOptimizationMethod('linear_programming')
+  }
+
+  // Price regimes include the optional negative-price and scarcity regimes
+  // (not used by the continuous HMM, which fits extreme prices as regimes of their own)
+  const numStates = categorizationOptions.numStates || 3
+  const isContinuousHmm = categorizationMethod === 'gaussian_hmm'
+  const hasScarcityRegime = categorizationOptions.scarcityThreshold !== null && categorizationOptions.scarcityThreshold !== undefined
+  const specialRegimes = isContinuousHmm ? 0 : (categorizationOptions.negativeRegime ? 1 : 0) + (hasScarcityRegime ? 1 : 0)
+
+  // Enabling a special regime adds a state so the regular regimes keep their count
+  const toggleSpecialRegime = (updates, enabled) => {
+    setCategorizationOptions({
+      ...categorizationOptions,
+      ...updates,
+      numStates: Math.max(2, numStates + (enabled ? 1 : -1))
+    })
+  }
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -52,7 +122,7 @@ const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
           <div className="p-3">
             <div className="flex items-center gap-2 mb-2">
               <TrendingUp className="h-4 w-4" />
-              <span className="text-xs font-bold">Day-Ahead Electricity Prices</span>
+              <span className="text-xs font-bold">{site.enabled ? 'Retail Import Tariff' : 'Day-Ahead Electricity Prices'}</span>
             </div>
             <textarea
               placeholder="45.2, 38.7, 35.1, 42.8, 55.3, 67.9, 89.4, 95.2, 87.6, 78.3, 65.4, 58.7, 52.1, 49.8, 46.3, 43.9, 48.2, 56.7, 72.8, 89.3, 95.8, 88.4, 76.2, 63.5"
@@ -60,9 +130,23 @@ const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
               onChange={(e) => setPriceData(e.target.value)}
               className="amiga-input w-full h-24 resize-none text-xs"
             />
+            <select
+              value={timeStep}
+              onChange={(e) => setTimeStep(parseFloat(e.target.value))}
+              className="amiga-input w-full text-xs mt-1"
+            >
+              <option value={1}>Hourly prices (60 min)</option>
+              <option value={0.5}>30-minute prices</option>
+              <option value={0.25}>15-minute prices</option>
+            </select>
             <p className="text-xs text-[#555555] mt-1">
-              Enter 24 comma-separated values (EUR/MWh)
+              Enter {24 / timeStep} comma-separated values for one day (EUR/MWh)
             </p>
+
+            {/* Operating Mode */}
+            <div className="mt-2">
+              <SiteSettings site={site} onChange={withLinearProgram(setSite)} />
+            </div>
           </div>
         </div>
 
@@ -77,34 +161,173 @@ const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
             <div className="space-y-2">
               <label className="text-xs font-bold flex items-center gap-1">
                 <Zap className="h-3 w-3" />
-                Max Power: {formatNumber(pMax)} MW
+                Max Power (metered at the grid)
               </label>
-              <Slider
-                value={[pMax]}
-                onValueChange={(value) => handleSliderChange(value, setPMax)}
-                max={50}
-                min={1}
-                step={0.5}
-                className="w-full"
-              />
+              <div>
+                <label className="text-xs">Charge: {formatNumber(pChargeMax)} MW</label>
+                <Slider
+                  value={[pChargeMax]}
+                  onValueChange={(value) => handleSliderChange(value, setPChargeMax)}
+                  max={50}
+                  min={1}
+                  step={0.5}
+                  className="w-full"
+                />
+              </div>
+              <div>
+                <label className="text-xs">Discharge: {formatNumber(pDischargeMax)} MW</label>
+                <Slider
+                  value={[pDischargeMax]}
+                  onValueChange={(value) => handleSliderChange(value, setPDischargeMax)}
+                  max={50}
+                  min={1}
+                  step={0.5}
+                  className="w-full"
+                />
+              </div>
             </div>
 
             {/* Efficiency */}
             <div className="space-y-2">
               <label className="text-xs font-bold flex items-center gap-1">
                 <Battery className="h-3 w-3" />
-                Efficiency: {formatNumber(efficiency * 100, 0)}%
+                Efficiency (round trip {formatNumber(etaCharge * etaDischarge * 100, 0)}%)
+              </label>
+              <div>
+                <label className="text-xs">Charge: {formatNumber(etaCharge * 100, 0)}%</label>
+                <Slider
+                  value={[etaCharge]}
+                  onValueChange={(value) => handleSliderChange(value, setEtaCharge)}
+                  max={1}
+                  min={0.7}
+                  step={0.01}
+                  className="w-full"
+                />
+              </div>
+              <div>
+                <label className="text-xs">Discharge: {formatNumber(etaDischarge * 100, 0)}%</label>
+                <Slider
+                  value={[etaDischarge]}
+                  onValueChange={(value) => handleSliderChange(value, setEtaDischarge)}
+                  max={1}
+                  min={0.7}
+                  step={0.01}
+                  className="w-full"
+                />
+              </div>
+            </div>
+
+            {/* Standing Losses */}
+            <div className="space-y-2">
+              <label className="text-xs font-bold flex items-center gap-1">
+                <Battery className="h-3 w-3" />
+                Standing Losses
+              </label>
+              <div>
+                <label className="text-xs">Self-discharge: {formatNumber(selfDischargeRate * 100, 3)}% of SoC per hour</label>
+                <Slider
+                  value={[selfDischargeRate]}
+                  onValueChange={(value) => handleSliderChange(value, setSelfDischargeRate)}
+                  max={0.002}
+                  min={0}
+                  step={0.00005}
+                  className="w-full"
+                />
+              </div>
+              <div>
+                <label className="text-xs">Auxiliary load: {formatNumber(auxiliaryLoad, 2)} MW</label>
+                <Slider
+                  value={[auxiliaryLoad]}
+                  onValueChange={(value) => handleSliderChange(value, setAuxiliaryLoad)}
+                  max={2}
+                  min={0}
+                  step={0.05}
+                  className="w-full"
+                />
+              </div>
+              <p className="text-xs text-[#555555]">
+                HVAC and BMS consumption is bought from the grid every hour at the market price
+              </p>
+            </div>
+
+            {/* Degradation */}
+            <div className="space-y-2">
+              <label className="text-xs font-bold flex items-center gap-1">
+                <Battery className="h-3 w-3" />
+                Degradation Cost
               </label>
-              <Slider
-                value={[efficiency]}
-                onValueChange={(value) => handleSliderChange(value, setEfficiency)}
-                max={1}
-                min={0.5}
-                step={0.01}
-                className="w-full"
-              />
+              <label className="text-xs flex items-center gap-1">
+                € per full cycle
+                <input
+                  type="number"
+                  min={0}
+                  value={degradationCostPerCycle}
+                  onChange={(e) => setDegradationCostPerCycle(Math.max(0, parseFloat(e.target.value) || 0))}
+                  className="amiga-input text-xs w-24"
+                />
+              </label>
+              <div>
+                <label className="text-xs">Depth exponent: {formatNumber(degradationExponent, 1)}</label>
+                <Slider
+                  value={[degradationExponent]}
+                  onValueChange={(value) => handleSliderChange(value, setDegradationExponent)}
+                  max={2.5}
+                  min={1}
+                  step={0.1}
+                  className="w-full"
+                />
+              </div>
+              <p className="text-xs text-[#555555]">
+                Cycles are rainflow-counted; a cycle costs the full-cycle cost times its depth of discharge to the exponent
+              </p>
             </div>
 
+            {/* Trading Costs */}
+            <div className="space-y-2">
+              <label className="text-xs font-bold flex items-center gap-1">
+                <TrendingUp className="h-3 w-3" />
+                Trading Costs (€/MWh)
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                {TRADING_COST_FIELDS.map(({ key, label }) => (
+                  <label key={key} className="text-xs flex items-center justify-between gap-1">
+                    {label}
+                    <input
+                      type="number"
+                      min={0}
+                      step={0.1}
+                      value={tradingCosts[key]}
+                      onChange={(e) => setTradingCosts({ [key]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                      className="amiga-input text-xs w-16"
+                    />
+                  </label>
+                ))}
+                <label className="text-xs flex items-center justify-between gap-1">
+                  VAT on imports (%)
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={Math.round(tradingCosts.vatRate * 1000) / 10}
+                    onChange={(e) => setTradingCosts({ vatRate: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })}
+                    className="amiga-input text-xs w-16"
+                  />
+                </label>
+              </div>
+              <p className="text-xs text-[#555555]">
+                The optimizer buys at the market price plus import costs and sells at the market price less export costs
+              </p>
+            </div>
+
+            {/* Frequency Reserve */}
+            <ReserveSettings reserve={reserve} onChange={withLinearProgram(setReserve)} />
+
+            {/* Fleet */}
+            <FleetSettings fleet={fleet} onChange={setFleet} />
+
+            {/* Stochastic Scenarios */}
+            <StochasticSettings stochastic={stochastic} onChange={setStochastic} />
+
             {/* Price Categorization Method */}
             <div className="space-y-2">
               <label className="text-xs font-bold flex items-center gap-1">
@@ -121,9 +344,138 @@ const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
                 <option value="volatility">Volatility-based</option>
                 <option value="kmeans">K-means Clustering</option>
                 <option value="quantile">Quantile-based (Default)</option>
+                <option value="gaussian_hmm">Gaussian HMM (Continuous Prices)</option>
               </select>
               <p className="text-xs text-[#555555]">
-                Method for categorizing prices into Low/Medium/High
+                Method for categorizing prices into regimes (Low/Medium/High by default)
+              </p>
+              {isContinuousHmm && (
+                <select
+                  value={categorizationOptions.emissionDistribution || 'gaussian'}
+                  onChange={(e) => setCategorizationOptions({ ...categorizationOptions, emissionDistribution: e.target.value })}
+                  className="amiga-input w-full text-xs"
+                >
+                  <option value="gaussian">Gaussian Emissions</option>
+                  <option value="lognormal">Log-normal Emissions</option>
+                </select>
+              )}
+              <div>
+                <label className="text-xs">Price Regimes: {numStates}</label>
+                <Slider
+                  value={[numStates]}
+                  onValueChange={(value) => setCategorizationOptions({ ...categorizationOptions, numStates: value[0] })}
+                  max={7}
+                  min={Math.max(2, 1 + specialRegimes)}
+                  step={1}
+                  className="w-full"
+                />
+              </div>
+              {!isContinuousHmm && (
+                <>
+                  <label className="text-xs flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={!!categorizationOptions.negativeRegime}
+                      onChange={(e) => toggleSpecialRegime({ negativeRegime: e.target.checked }, e.target.checked)}
+                    />
+                    Separate negative-price regime
+                  </label>
+                  <label className="text-xs flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={hasScarcityRegime}
+                      onChange={(e) => toggleSpecialRegime({ scarcityThreshold: e.target.checked ? 300 : null }, e.target.checked)}
+                    />
+                    Scarcity regime at or above
+                    <input
+                      type="number"
+                      value={categorizationOptions.scarcityThreshold ?? 300}
+                      disabled={!hasScarcityRegime}
+                      onChange={(e) => setCategorizationOptions({ ...categorizationOptions, scarcityThreshold: parseFloat(e.target.value) || 0 })}
+                      className="amiga-input text-xs w-16"
+                    />
+                    €/MWh
+                  </label>
+                </>
+              )}
+            </div>
+
+            {/* HMM Training */}
+            <div className="space-y-2">
+              <label className="text-xs font-bold flex items-center gap-1">
+                <BarChart3 className="h-3 w-3" />
+                HMM Training
+              </label>
+              <select
+                value={optimizationOptions.hmmTraining || 'heuristic'}
+                onChange={(e) => setOptimizationOptions({ ...optimizationOptions, hmmTraining: e.target.value })}
+                className="amiga-input w-full text-xs"
+              >
+                <option value="heuristic">Heuristic Counts (Default)</option>
+                <option value="baum_welch">Baum-Welch (EM)</option>
+              </select>
+              <p className="text-xs text-[#555555]">
+                Baum-Welch learns transition, emission and initial probabilities from the prices
+                (the Gaussian HMM is always trained this way)
+              </p>
+            </div>
+
+            {/* Optimization Method */}
+            <div className="space-y-2">
+              <label className="text-xs font-bold flex items-center gap-1">
+                <Settings className="h-3 w-3" />
+                Optimization Method
+              </label>
+              <select
+                value={optimizationMethod}
+                onChange={(e) => setOptimizationMethod(e.target.value)}
+                className="amiga-input w-full text-xs"
+              >
+                <option value="differential_evolution" disabled={linearProgramOnly}>Differential Evolution (HMM-guided)</option>
+                <option value="linear_programming">Linear Programming (Exact)</option>
+                <option value="dynamic_programming" disabled={linearProgramOnly}>Dynamic Programming (SoC Grid)</option>
+                <option value="simplified" disabled={linearProgramOnly}>Simplified Greedy</option>
+              </select>
+              <p className="text-xs text-[#555555]">
+                {linearProgramOnly
+                  ? 'Frequency reserve and the behind-the-meter site are only modelled by linear programming'
+                  : 'Linear programming finds the reproducible optimum for the given prices'}
+              </p>
+              {optimizationMethod === 'linear_programming' && (
+                <p className="text-xs text-[#555555]">
+                  Solved whole up to about 130 days of hourly prices (33 days at 15 minutes), 53-70 days behind the
+                  meter and 28-30 days with reserve; longer periods are solved in daily windows, close to but below
+                  the optimum
+                </p>
+              )}
+              {optimizationMethod === 'dynamic_programming' && (
+                <div>
+                  <label className="text-xs">SoC Grid Resolution: {optimizationOptions.socSteps || 41} levels</label>
+                  <Slider
+                    value={[optimizationOptions.socSteps || 41]}
+                    onValueChange={(value) => setOptimizationOptions({ ...optimizationOptions, socSteps: value[0] })}
+                    max={201}
+                    min={11}
+                    step={10}
+                    className="w-full"
+                  />
+                  <p className="text-xs text-[#555555]">
+                    Finer grids are closer to the exact optimum but slower
+                  </p>
+                </div>
+              )}
+              <label className="text-xs flex items-center gap-1">
+                Random Seed
+                <input
+                  type="number"
+                  value={optimizationOptions.seed ?? ''}
+                  placeholder="auto"
+                  onChange={(e) => setOptimizationOptions({ ...optimizationOptions, seed: e.target.value === '' ? undefined : parseInt(e.target.value, 10) })}
+                  className="amiga-input text-xs w-24"
+                />
+              </label>
+              <p className="text-xs text-[#555555]">
+                Fix the seed to reproduce a run exactly; left empty, a seed is drawn and reported with the results
               </p>
             </div>
 
@@ -138,13 +490,13 @@ const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
                 <div>
                   <div className="flex justify-between text-xs mb-1">
                     <span>Max SoC</span>
-                    <span>{(socMax / pMax).toFixed(1)}x Max Power ({formatNumber(socMax)} MWh)</span>
+                    <span>{(socMax / pDischargeMax).toFixed(1)}x Discharge Power ({formatNumber(socMax)} MWh)</span>
                   </div>
                   <Slider
-                    value={[socMax / pMax]}
+                    value={[socMax / pDischargeMax]}
                     onValueChange={(value) => {
                       const socFactor = value[0]
-                      const newMax = pMax * socFactor
+                      const newMax = pDischargeMax * socFactor
                       // Keep the same absolute DoD when Max SoC changes
                       const currentDoD = socMax - socMin
                       const newMin = Math.max(0, newMax - currentDoD)
@@ -157,8 +509,8 @@ const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
                     className="w-full"
                   />
                   <div className="flex justify-between text-xs">
-                    <span>1x ({formatNumber(pMax)} MWh)</span>
-                    <span>6x ({formatNumber(pMax * 6)} MWh)</span>
+                    <span>1x ({formatNumber(pDischargeMax)} MWh)</span>
+                    <span>6x ({formatNumber(pDischargeMax * 6)} MWh)</span>
                   </div>
                 </div>
 
@@ -186,6 +538,56 @@ const ManualInputForm = ({ onOptimize, onGenerateSample }) => {
                 </div>
               </div>
             </div>
+
+            {/* Initial and Terminal SoC */}
+            <div className="space-y-2">
+              <label className="text-xs font-bold flex items-center gap-1">
+                <Battery className="h-3 w-3" />
+                Start and End State of Charge
+              </label>
+              <div>
+                <div className="flex justify-between text-xs mb-1">
+                  <span>Initial SoC</span>
+                  <span>{initialSoCPercent}% ({formatNumber(socMin + (socMax - socMin) * initialSoCPercent / 100)} MWh)</span>
+                </div>
+                <Slider
+                  value={[initialSoCPercent]}
+                  onValueChange={(value) => handleSliderChange(value, setInitialSoCPercent)}
+                  max={100}
+                  min={0}
+                  step={5}
+                  className="w-full"
+                />
+              </div>
+              <select
+                value={terminalSoCMode}
+                onChange={(e) => setTerminalSoCMode(e.target.value)}
+                className="amiga-input w-full text-xs"
+              >
+                <option value="free">Free End SoC</option>
+                <option value="initial">End SoC ≥ Initial SoC</option>
+                <option value="target">End SoC ≥ Target</option>
+              </select>
+              {terminalSoCMode === 'target' && (
+                <div>
+                  <div className="flex justify-between text-xs mb-1">
+                    <span>Target End SoC</span>
+                    <span>{terminalSoCPercent}% ({formatNumber(socMin + (socMax - socMin) * terminalSoCPercent / 100)} MWh)</span>
+                  </div>
+                  <Slider
+                    value={[terminalSoCPercent]}
+                    onValueChange={(value) => handleSliderChange(value, setTerminalSoCPercent)}
+                    max={100}
+                    min={0}
+                    step={5}
+                    className="w-full"
+                  />
+                </div>
+              )}
+              <p className="text-xs text-[#555555]">
+                Percent of the usable range; stored energy gained or used over the horizon is valued at the average price
+              </p>
+            </div>
           </div>
         </div>
       </div>
@@ -9,14 +9,19 @@ import {
   Target, 
   Activity,
   BarChart3,
-  Gauge
+  Gauge,
+  Percent,
+  BatteryCharging,
+  Thermometer,
+  Receipt,
+  Sun
 } from 'lucide-react'
 import { formatCurrency, formatNumber, formatPercentage } from '../lib/utils'
 
 const MetricsGrid = ({ result }) => {
   const metrics = [
     {
-      title: 'Total Revenue',
+      title: result.grossRevenue !== undefined ? 'Net Revenue' : 'Total Revenue',
       value: formatCurrency(result.totalRevenue),
       icon: Euro,
       color: 'from-green-500 to-emerald-600',
@@ -27,14 +32,18 @@ const MetricsGrid = ({ result }) => {
       value: `${formatNumber(result.totalEnergyDischarged)} MWh`,
       icon: Zap,
       color: 'from-blue-500 to-cyan-600',
-      description: 'Total energy discharged'
+      description: result.storedEnergyDischarged !== undefined
+        ? `Sold to the grid; ${formatNumber(result.storedEnergyDischarged)} MWh drawn from storage`
+        : 'Total energy discharged'
     },
     {
       title: 'Energy Charged',
       value: `${formatNumber(result.totalEnergyCharged)} MWh`,
       icon: Battery,
       color: 'from-purple-500 to-pink-600',
-      description: 'Total energy charged'
+      description: result.storedEnergyCharged !== undefined
+        ? `Bought from the grid; ${formatNumber(result.storedEnergyCharged)} MWh stored`
+        : 'Total energy charged'
     },
     {
       title: 'Operational Efficiency',
@@ -55,7 +64,7 @@ const MetricsGrid = ({ result }) => {
       value: formatNumber(result.cycles),
       icon: Activity,
       color: 'from-teal-500 to-green-600',
-      description: 'Number of cycles'
+      description: 'Equivalent full cycles (rainflow)'
     },
     {
       title: 'VWAP Charge',
@@ -73,6 +82,132 @@ const MetricsGrid = ({ result }) => {
     }
   ]
 
+  // Gross revenue is the same schedule valued at market prices, before fees, tariffs, taxes and the spread
+  if (result.grossRevenue !== undefined) {
+    metrics.splice(1, 0, {
+      title: 'Gross Revenue',
+      value: formatCurrency(result.grossRevenue),
+      icon: Receipt,
+      color: 'from-emerald-500 to-teal-600',
+      description: `Before ${formatCurrency(result.tradingCosts)} fees, tariffs, taxes and spread`
+    })
+  }
+
+  // Energy left in (or taken from) the battery at the end is valued on its own, not counted as revenue
+  if (result.inventoryValue !== undefined) {
+    metrics.splice(1, 0, {
+      title: 'Stored Energy Value',
+      value: formatCurrency(result.inventoryValue),
+      icon: BatteryCharging,
+      color: 'from-amber-500 to-orange-600',
+      description: `SoC ${formatNumber(result.initialSoC, 2)} → ${formatNumber(result.finalSoC, 2)} MWh, valued conservatively; not in revenue`
+    })
+  }
+
+  // Behind-the-meter runs: revenue is the bill saving against the same site without a battery
+  if (result.siteSummary) {
+    metrics.push(
+      {
+        title: 'Site Bill',
+        value: formatCurrency(result.siteSummary.bill),
+        icon: Receipt,
+        color: 'from-sky-500 to-blue-600',
+        description: `${formatCurrency(result.siteSummary.savings)} saved against ${formatCurrency(result.siteSummary.baselineBill)} without battery`
+      },
+      {
+        title: 'Self-Consumption',
+        value: formatPercentage(result.siteSummary.selfConsumption),
+        icon: Sun,
+        color: 'from-yellow-400 to-amber-600',
+        description: `PV used on site; self-sufficiency ${formatPercentage(result.siteSummary.selfSufficiency)}`
+      }
+    )
+  }
+
+  if (result.siteSummary && result.siteSummary.demandCharge > 0) {
+    metrics.push({
+      title: 'Peak Demand',
+      value: `${formatNumber(result.siteSummary.peakDemand)} MW`,
+      icon: Gauge,
+      color: 'from-cyan-500 to-sky-600',
+      description: `Down from ${formatNumber(result.siteSummary.baselinePeakDemand)} MW; ${formatCurrency(result.revenueStack.peakShaving)} demand charges saved`
+    })
+  }
+
+  // Stochastic runs: the schedule's revenue across the price scenarios
+  if (result.revenueDistribution) {
+    metrics.push({
+      title: 'Scenario CVaR',
+      value: formatCurrency(result.revenueDistribution.cvar),
+      icon: Target,
+      color: 'from-violet-500 to-purple-600',
+      description: `Mean of the worst ${formatPercentage(1 - result.cvarAlpha)}; expected ${formatCurrency(result.revenueDistribution.expected)}, σ ${formatCurrency(result.revenueDistribution.stdDev)}`
+    })
+  }
+
+  if (result.finalSoC !== undefined) {
+    metrics.push({
+      title: 'End SoC',
+      value: `${formatNumber(result.finalSoC)} MWh`,
+      icon: BatteryCharging,
+      color: 'from-lime-500 to-green-600',
+      description: `Started at ${formatNumber(result.initialSoC)} MWh`
+    })
+  }
+
+  if (result.revenueStack && result.revenueStack.reserveCapacity > 0) {
+    metrics.push({
+      title: 'Reserve Capacity',
+      value: formatCurrency(result.revenueStack.reserveCapacity),
+      icon: Activity,
+      color: 'from-emerald-500 to-green-600',
+      description: `Energy arbitrage ${formatCurrency(result.revenueStack.energyArbitrage)}`
+    })
+  }
+
+  if (result.degradationCost > 0) {
+    metrics.push({
+      title: 'Degradation Cost',
+      value: formatCurrency(result.degradationCost),
+      icon: Activity,
+      color: 'from-rose-500 to-red-600',
+      description: 'Deducted from total revenue'
+    })
+  }
+
+  if (result.auxiliaryCost > 0 || result.selfDischargeLoss > 0) {
+    metrics.push({
+      title: 'Standing Losses',
+      value: formatCurrency(result.auxiliaryCost),
+      icon: Thermometer,
+      color: 'from-slate-500 to-gray-600',
+      description: `Auxiliary load cost; ${formatNumber(result.selfDischargeLoss)} MWh self-discharge`
+    })
+  }
+
+  // Differential evolution only penalizes the terminal SoC; a shortfall its repair could not close is reported
+  if (result.schedule?.terminalSoCShortfall > 0) {
+    metrics.push({
+      title: 'Terminal SoC Missed',
+      value: `${formatNumber(result.schedule.terminalSoCShortfall, 2)} MWh`,
+      icon: Target,
+      color: 'from-amber-500 to-orange-600',
+      description: `Ended at ${formatNumber(result.finalSoC, 2)} MWh, below the terminal SoC`
+    })
+  }
+
+  // Perfect-foresight benchmark is only computed for backtest periods
+  if (result.perfectForesightRevenue != null) {
+    metrics.push({
+      title: 'Capture Rate',
+      value: formatPercentage(result.captureRate),
+      icon: Percent,
+      color: 'from-cyan-500 to-teal-600',
+      description: `Of ${formatCurrency(result.perfectForesightRevenue)} perfect-foresight revenue`
+        + (result.benchmarkMethod === 'linear_programming_windows' ? ' (daily-window benchmark)' : '')
+    })
+  }
+
   const containerVariants = {
     hidden: { opacity: 0 },
     visible: {
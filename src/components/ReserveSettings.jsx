@@ -0,0 +1,113 @@
+import React from 'react'
+import { Activity } from 'lucide-react'
+
+// Frequency-reserve (FCR/aFRR) settings shared by the manual and backtest forms.
+// Capacity prices are comma-separated €/MW/h: one value for a flat price, 24 for an hourly profile
+// that repeats every day, or one per price step.
+const ReserveSettings = ({ reserve, onChange }) => {
+  const isSymmetric = reserve.mode === 'symmetric'
+
+  const handleHourChange = (key, value) => {
+    onChange({ [key]: Math.min(24, Math.max(0, parseInt(value, 10) || 0)) })
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="text-xs font-bold flex items-center gap-1">
+        <Activity className="h-3 w-3" />
+        <input
+          type="checkbox"
+          checked={reserve.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        Frequency Reserve (capacity)
+      </label>
+      {reserve.enabled && (
+        <div className="space-y-2">
+          <select
+            value={reserve.mode}
+            onChange={(e) => onChange({ mode: e.target.value })}
+            className="amiga-input w-full text-xs"
+          >
+            <option value="symmetric">Symmetric (FCR): same MW up and down</option>
+            <option value="asymmetric">Asymmetric (aFRR): up and down sized separately</option>
+          </select>
+          {isSymmetric ? (
+            <label className="text-xs block">
+              Capacity price (€/MW/h)
+              <input
+                type="text"
+                value={reserve.capacityPrices}
+                onChange={(e) => onChange({ capacityPrices: e.target.value })}
+                className="amiga-input w-full text-xs"
+              />
+            </label>
+          ) : (
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs block">
+                Up price (€/MW/h)
+                <input
+                  type="text"
+                  value={reserve.upPrices}
+                  onChange={(e) => onChange({ upPrices: e.target.value })}
+                  className="amiga-input w-full text-xs"
+                />
+              </label>
+              <label className="text-xs block">
+                Down price (€/MW/h)
+                <input
+                  type="text"
+                  value={reserve.downPrices}
+                  onChange={(e) => onChange({ downPrices: e.target.value })}
+                  className="amiga-input w-full text-xs"
+                />
+              </label>
+            </div>
+          )}
+          <div className="grid grid-cols-3 gap-2">
+            <label className="text-xs block">
+              From hour
+              <input
+                type="number"
+                min={0}
+                max={24}
+                value={reserve.startHour}
+                onChange={(e) => handleHourChange('startHour', e.target.value)}
+                className="amiga-input w-full text-xs"
+              />
+            </label>
+            <label className="text-xs block">
+              To hour
+              <input
+                type="number"
+                min={0}
+                max={24}
+                value={reserve.endHour}
+                onChange={(e) => handleHourChange('endHour', e.target.value)}
+                className="amiga-input w-full text-xs"
+              />
+            </label>
+            <label className="text-xs block">
+              Sustain for
+              <select
+                value={reserve.durationHours}
+                onChange={(e) => onChange({ durationHours: parseFloat(e.target.value) })}
+                className="amiga-input w-full text-xs"
+              >
+                <option value={0.25}>15 min</option>
+                <option value={0.5}>30 min</option>
+                <option value={1}>1 h</option>
+              </select>
+            </label>
+          </div>
+          <p className="text-xs text-[#555555]">
+            Reserved power is withheld from arbitrage and keeps SoC headroom for the sustain time; the optimizer
+            picks the split each hour (runs on linear programming)
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReserveSettings
@@ -3,12 +3,12 @@ import { motion } from 'framer-motion'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
 import { Button } from './ui/button'
 import { useOptimizationStore } from '../store/optimizationStore'
-import { PriceChart, SoCChart, PowerChart, RevenueChart } from './ChartComponents'
+import { PriceChart, SoCChart, PowerChart, RevenueChart, RevenueStackChart, ReserveChart, EnergyFlowChart, RevenueDistributionChart, ForecastChart } from './ChartComponents'
 import MetricsGrid from './MetricsGrid'
 import AIInsights from './AIInsights'
 import DebugReport from './DebugReport'
 import { ArrowLeft, BarChart3, Table, TrendingUp } from 'lucide-react'
-import { formatCurrency, formatNumber } from '../lib/utils'
+import { formatCurrency, formatNumber, formatPercentage } from '../lib/utils'
 
 const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
   const { detailedPeriod, setDetailedPeriod } = useOptimizationStore()
@@ -16,6 +16,16 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
   if (!data) return null
   
   const { result, prices, params, title } = data
+  const stateLabels = result.stateLabels || ['Low', 'Medium', 'High']
+  const dt = result.timeStep || 1
+  const stepName = dt === 1 ? 'hour' : `${dt * 60} minutes`
+  // The heuristic 3-state emission columns are the charge/idle/discharge actions; otherwise they are observed regimes.
+  // The continuous HMM emits prices, so its rows are each regime's price mean and standard deviation.
+  const emissionLabels = result.emissionModel
+    ? ['Mean (€/MWh)', 'Std Dev (€/MWh)']
+    : result.hmmTraining?.method !== 'baum_welch' && stateLabels.length === 3
+      ? ['Charge', 'Idle', 'Discharge']
+      : stateLabels.map(label => `Obs ${label}`)
 
   return (
     <motion.div
@@ -31,6 +41,11 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
           <p className="text-muted-foreground mt-1">
             Optimization results and detailed analysis
           </p>
+          {result.seed !== undefined && (
+            <p className="text-muted-foreground text-sm">
+              Random Seed: <span className="font-medium">{result.seed}</span>
+            </p>
+          )}
         </div>
         {!isManualInput && (
           <Button
@@ -47,6 +62,86 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
       {/* Metrics Grid */}
       <MetricsGrid result={result} />
 
+      {/* Scenario Revenue Distribution */}
+      {result.revenueDistribution && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <BarChart3 className="h-5 w-5" />
+              Scenario Revenue Distribution
+            </CardTitle>
+            <CardDescription>
+              One schedule across {result.scenarioRevenues.length} bootstrapped price scenarios (risk aversion {formatNumber(result.riskAversion, 2)}):
+              expected {formatCurrency(result.revenueDistribution.expected)}, P5 {formatCurrency(result.revenueDistribution.p5)},
+              CVaR {formatPercentage(result.cvarAlpha)} {formatCurrency(result.revenueDistribution.cvar)}; charts below use the expected prices
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <RevenueDistributionChart revenues={result.scenarioRevenues} weights={result.scenarioWeights} title="" />
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Fleet Assets */}
+      {result.assets && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Table className="h-5 w-5" />
+              Fleet Assets
+            </CardTitle>
+            <CardDescription>
+              {result.gridLimit !== null
+                ? `Shared grid limit ${formatNumber(result.gridLimit)} MW, peak net flow ${formatNumber(Math.max(...result.gridFlow.map(Math.abs)))} MW${result.coordinated ? '; optimized jointly to respect the limit' : ''}`
+                : 'No shared grid limit; each asset optimized on its own'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 pr-4">Asset</th>
+                    <th className="py-2 pr-4 text-right">Power</th>
+                    <th className="py-2 pr-4 text-right">Usable Capacity</th>
+                    <th className="py-2 pr-4 text-right">Revenue</th>
+                    <th className="py-2 pr-4 text-right">Discharged</th>
+                    <th className="py-2 pr-4 text-right">Efficiency</th>
+                    <th className="py-2 text-right">Cycles</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.assets.map(asset => (
+                    <tr key={asset.name} className="border-b">
+                      <td className="py-2 pr-4 font-medium">{asset.name}</td>
+                      <td className="py-2 pr-4 text-right">{formatNumber(asset.params.pChargeMax)} / {formatNumber(asset.params.pDischargeMax)} MW</td>
+                      <td className="py-2 pr-4 text-right">{formatNumber(asset.params.socMax - asset.params.socMin)} MWh</td>
+                      <td className="py-2 pr-4 text-right">{formatCurrency(asset.totalRevenue)}</td>
+                      <td className="py-2 pr-4 text-right">{formatNumber(asset.totalEnergyDischarged)} MWh</td>
+                      <td className="py-2 pr-4 text-right">{formatPercentage(asset.operationalEfficiency)}</td>
+                      <td className="py-2 text-right">{formatNumber(asset.cycles)}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="py-2 pr-4">Portfolio</td>
+                    <td className="py-2 pr-4 text-right">
+                      {formatNumber(result.assets.reduce((sum, asset) => sum + asset.params.pChargeMax, 0))} / {formatNumber(result.assets.reduce((sum, asset) => sum + asset.params.pDischargeMax, 0))} MW
+                    </td>
+                    <td className="py-2 pr-4 text-right">
+                      {formatNumber(result.assets.reduce((sum, asset) => sum + asset.params.socMax - asset.params.socMin, 0))} MWh
+                    </td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(result.totalRevenue)}</td>
+                    <td className="py-2 pr-4 text-right">{formatNumber(result.totalEnergyDischarged)} MWh</td>
+                    <td className="py-2 pr-4 text-right">{formatPercentage(result.operationalEfficiency)}</td>
+                    <td className="py-2 text-right">{formatNumber(result.cycles)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* AI Insights */}
       <AIInsights 
         onGetInsights={(result, params) => {
@@ -71,13 +166,15 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
               Electricity Prices
             </CardTitle>
             <CardDescription>
-              Hourly prices with HMM category coloring
+              {dt === 1 ? 'Hourly' : `${dt * 60}-minute`} prices with HMM category coloring
             </CardDescription>
           </CardHeader>
           <CardContent>
             <PriceChart 
               data={prices} 
               priceCategories={result.priceCategories} 
+              numStates={stateLabels.length}
+              dt={dt}
               title=""
             />
           </CardContent>
@@ -102,7 +199,7 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
               firstFew: result.schedule.soc.slice(0, 5),
               lastFew: result.schedule.soc.slice(-5)
             })}
-            <SoCChart data={result.schedule.soc} title="" />
+            <SoCChart data={result.schedule.soc} dt={dt} title="" />
           </CardContent>
         </Card>
 
@@ -121,6 +218,7 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
             <PowerChart 
               charging={result.schedule.charging} 
               discharging={result.schedule.discharging} 
+              dt={dt}
               title=""
             />
           </CardContent>
@@ -131,16 +229,94 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
           <CardHeader>
             <CardTitle className="flex items-center gap-2">
               <TrendingUp className="h-5 w-5" />
-              Hourly Revenue
+              {dt === 1 ? 'Hourly Revenue' : 'Revenue per Step'}
             </CardTitle>
             <CardDescription>
-              Revenue generated each hour
+              Revenue generated each {stepName}
             </CardDescription>
           </CardHeader>
           <CardContent>
-            <RevenueChart data={result.schedule.revenue} title="" />
+            <RevenueChart data={result.schedule.revenue} dt={dt} title="" />
           </CardContent>
         </Card>
+
+        {/* Revenue Stack Chart */}
+        {result.revenueStack && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <BarChart3 className="h-5 w-5" />
+                Revenue Stack
+              </CardTitle>
+              <CardDescription>
+                Total revenue by source: {formatCurrency(result.totalRevenue)}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <RevenueStackChart stacks={[result.revenueStack]} labels={[title]} title="" />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Reserve Chart */}
+        {result.reserveUp && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <BarChart3 className="h-5 w-5" />
+                Frequency Reserve
+              </CardTitle>
+              <CardDescription>
+                Power withheld from arbitrage for reserve capacity each {stepName}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ReserveChart reserveUp={result.reserveUp} reserveDown={result.reserveDown} dt={dt} title="" />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Energy Flow Chart */}
+        {result.energyFlows && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <BarChart3 className="h-5 w-5" />
+                Energy Flows
+              </CardTitle>
+              <CardDescription>
+                Where PV, battery and grid energy went each {stepName}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <EnergyFlowChart flows={result.energyFlows} dt={dt} title="" />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Walk-Forward Forecast Chart */}
+        {result.forecastPrices && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <TrendingUp className="h-5 w-5" />
+                Price Forecast
+              </CardTitle>
+              <CardDescription>
+                The schedule was planned on this forecast and settled at the realized prices
+                (MAE {formatNumber(result.forecastAccuracy.mae, 2)} €/MWh, planned revenue {formatCurrency(result.forecastRevenue)})
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ForecastChart
+                actual={prices}
+                forecasts={[{ label: 'Forecast (€/MWh)', values: result.forecastPrices }]}
+                dt={dt}
+                title=""
+              />
+            </CardContent>
+          </Card>
+        )}
       </div>
 
       {/* HMM Matrices */}
@@ -154,6 +330,9 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
             </CardTitle>
             <CardDescription>
               Probability of transitioning between price states
+              {result.hmmTraining?.method === 'baum_welch' && (
+                <> (Baum-Welch: {result.hmmTraining.iterations} iterations, {result.hmmTraining.converged ? 'converged' : 'not converged'}, log-likelihood {result.hmmTraining.logLikelihood.toFixed(1)})</>
+              )}
             </CardDescription>
           </CardHeader>
           <CardContent>
@@ -162,20 +341,25 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
                 <thead>
                   <tr>
                     <th className="p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold rounded-tl-lg"></th>
-                    <th className="p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold">Low→</th>
-                    <th className="p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold">Medium→</th>
-                    <th className="p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold rounded-tr-lg">High→</th>
+                    {stateLabels.map((label, j) => (
+                      <th
+                        key={label}
+                        className={`p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold${j === stateLabels.length - 1 ? ' rounded-tr-lg' : ''}`}
+                      >
+                        {label}→
+                      </th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody>
                   {result.transitionMatrix.map((row, i) => (
                     <tr key={i} className="even:bg-gray-50">
                       <th className="p-2 font-semibold text-gray-700">
-                        {['Low', 'Medium', 'High'][i]}
+                        {stateLabels[i]}
                       </th>
                       {row.map((val, j) => (
                         <td key={j} className="p-2 border border-gray-200 text-center">
-                          {val.toFixed(3)}
+                          {val.toFixed(result.emissionModel ? 2 : 3)}
                         </td>
                       ))}
                     </tr>
@@ -194,7 +378,11 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
               Emission Matrix
             </CardTitle>
             <CardDescription>
-              Action probabilities for each price category
+              {result.emissionModel
+                ? `Learned ${result.emissionModel.distribution === 'lognormal' ? 'log-normal' : 'Gaussian'} price distribution per hidden state`
+                : result.hmmTraining?.method === 'baum_welch'
+                  ? 'Learned probabilities of observing each price category per hidden state'
+                  : 'Action probabilities for each price category'}
             </CardDescription>
           </CardHeader>
           <CardContent>
@@ -203,20 +391,25 @@ const ResultsDashboard = ({ data, isManualInput = false, onBack }) => {
                 <thead>
                   <tr>
                     <th className="p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold rounded-tl-lg">Price Category</th>
-                    <th className="p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold">Charge</th>
-                    <th className="p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold">Idle</th>
-                    <th className="p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold rounded-tr-lg">Discharge</th>
+                    {emissionLabels.map((label, j, labels) => (
+                      <th
+                        key={label}
+                        className={`p-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-semibold${j === labels.length - 1 ? ' rounded-tr-lg' : ''}`}
+                      >
+                        {label}
+                      </th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody>
                   {result.emissionMatrix.map((row, i) => (
                     <tr key={i} className="even:bg-gray-50">
                       <th className="p-2 font-semibold text-gray-700">
-                        {['Low', 'Medium', 'High'][i]}
+                        {stateLabels[i]}
                       </th>
                       {row.map((val, j) => (
                         <td key={j} className="p-2 border border-gray-200 text-center">
-                          {val.toFixed(3)}
+                          {val.toFixed(result.emissionModel ? 2 : 3)}
                         </td>
                       ))}
                     </tr>
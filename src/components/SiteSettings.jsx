@@ -0,0 +1,75 @@
+import React from 'react'
+
+// Behind-the-meter (PV + site load) settings shared by the manual and backtest forms.
+// Load, PV and feed-in prices are comma-separated: one value, one per price step, or an hourly profile
+// (e.g. 24 values) that repeats. The demand charge is entered in €/kW per billing period.
+const SiteSettings = ({ site, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <select
+        value={site.enabled ? 'site' : 'wholesale'}
+        onChange={(e) => onChange({ enabled: e.target.value === 'site' })}
+        className="amiga-input w-full text-xs"
+      >
+        <option value="wholesale">Wholesale arbitrage</option>
+        <option value="site">Behind the meter: PV + site load</option>
+      </select>
+      {site.enabled && (
+        <div className="space-y-2">
+          <label className="text-xs block">
+            Site load (MW)
+            <textarea
+              value={site.load}
+              onChange={(e) => onChange({ load: e.target.value })}
+              className="amiga-input w-full h-16 resize-none text-xs"
+            />
+          </label>
+          <label className="text-xs block">
+            PV generation (MW)
+            <textarea
+              value={site.pv}
+              onChange={(e) => onChange({ pv: e.target.value })}
+              className="amiga-input w-full h-16 resize-none text-xs"
+            />
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs block">
+              Feed-in price (EUR/MWh)
+              <input
+                type="text"
+                value={site.feedInPrices}
+                onChange={(e) => onChange({ feedInPrices: e.target.value })}
+                className="amiga-input w-full text-xs"
+              />
+            </label>
+            <label className="text-xs block">
+              Demand charge (€/kW)
+              <input
+                type="number"
+                min={0}
+                step={0.5}
+                value={site.demandCharge}
+                onChange={(e) => onChange({ demandCharge: Math.max(0, parseFloat(e.target.value) || 0) })}
+                className="amiga-input w-full text-xs"
+              />
+            </label>
+          </div>
+          <label className="text-xs flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={site.allowGridCharging}
+              onChange={(e) => onChange({ allowGridCharging: e.target.checked })}
+            />
+            Allow charging from the grid
+          </label>
+          <p className="text-xs text-[#555555]">
+            The battery minimizes the site bill (imports at the price series, exports at the feed-in price, plus the
+            demand charge on the peak import of each run or backtest period); runs on linear programming
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SiteSettings
@@ -0,0 +1,80 @@
+import React from 'react'
+import { Shuffle } from 'lucide-react'
+import { Slider } from './ui/slider'
+
+// Stochastic (scenario) settings of the manual form. Scenarios are historical days bootstrapped from the
+// Polish market data of the last lookbackDays; risk aversion weighs the CVaR of the worst scenarios against
+// the expected revenue (0 = risk-neutral, 1 = CVaR only).
+const StochasticSettings = ({ stochastic, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <label className="text-xs font-bold flex items-center gap-1">
+        <Shuffle className="h-3 w-3" />
+        <input
+          type="checkbox"
+          checked={stochastic.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        Stochastic Scenarios
+      </label>
+      {stochastic.enabled && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs block">
+              Scenarios
+              <input
+                type="number"
+                min={2}
+                max={200}
+                value={stochastic.numScenarios}
+                onChange={(e) => onChange({ numScenarios: Math.min(200, Math.max(2, parseInt(e.target.value, 10) || 2)) })}
+                className="amiga-input w-full text-xs"
+              />
+            </label>
+            <label className="text-xs block">
+              From the last (days)
+              <input
+                type="number"
+                min={7}
+                value={stochastic.lookbackDays}
+                onChange={(e) => onChange({ lookbackDays: Math.max(7, parseInt(e.target.value, 10) || 7) })}
+                className="amiga-input w-full text-xs"
+              />
+            </label>
+          </div>
+          <div>
+            <div className="flex justify-between text-xs mb-1">
+              <span>Risk aversion</span>
+              <span>{stochastic.riskAversion.toFixed(2)}</span>
+            </div>
+            <Slider
+              value={[stochastic.riskAversion]}
+              onValueChange={(value) => onChange({ riskAversion: value[0] })}
+              max={1}
+              min={0}
+              step={0.05}
+              className="w-full"
+            />
+          </div>
+          <label className="text-xs block">
+            CVaR level
+            <select
+              value={stochastic.cvarAlpha}
+              onChange={(e) => onChange({ cvarAlpha: parseFloat(e.target.value) })}
+              className="amiga-input w-full text-xs"
+            >
+              <option value={0.9}>90% (worst 10% of scenarios)</option>
+              <option value={0.95}>95% (worst 5% of scenarios)</option>
+              <option value={0.99}>99% (worst 1% of scenarios)</option>
+            </select>
+          </label>
+          <p className="text-xs text-[#555555]">
+            One schedule for all scenarios, replacing the price series above; runs on linear programming
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StochasticSettings
@@ -6,18 +6,73 @@ export const useOptimizationStore = create(
     (set, get) => ({
       // Manual input state
       priceData: '',
-      pMax: 10,
-      socMin: 10, // 1x Max Power
-      socMax: 40, // 4x Max Power
-      efficiency: 0.85,
+      timeStep: 1, // Hours per price: 1 for hourly markets, 0.25 for 15-minute markets
+      // Power limits are metered at the grid; the one-way efficiencies multiply to the round-trip efficiency (~85%)
+      pChargeMax: 10,
+      pDischargeMax: 10,
+      socMin: 10, // 1x Max Discharge Power
+      socMax: 40, // 4x Max Discharge Power
+      etaCharge: 0.92,
+      etaDischarge: 0.92,
+      selfDischargeRate: 0, // Share of the stored energy lost per hour (e.g. 0.0001 for 0.01%/h); 0 is lossless
+      auxiliaryLoad: 0, // MW bought from the grid every hour for HVAC and BMS; 0 leaves it out
+      degradationCostPerCycle: 0, // € per full-depth cycle; 0 disables the degradation cost
+      degradationExponent: 1, // Cost of a cycle scales with (depth of discharge)^exponent
+      // €/MWh on top of (imports) or off (exports) the market price; vatRate is a share of the import price
+      tradingCosts: { importTariff: 0, exportTariff: 0, exchangeFee: 0, bidAskSpread: 0, exciseDuty: 0, vatRate: 0 },
+      // Frequency reserve: capacity prices in €/MW/h as comma-separated text, offered between startHour and endHour
+      reserve: { enabled: false, mode: 'symmetric', capacityPrices: '10', upPrices: '10', downPrices: '5', startHour: 0, endHour: 24, durationHours: 0.25 },
+      // Behind-the-meter mode: site load and PV (MW) as comma-separated text; prices become the retail import tariff
+      site: { enabled: false, load: '', pv: '', feedInPrices: '50', allowGridCharging: true, demandCharge: 0 },
+      // Fleet mode: the battery above plus further assets that override its size and efficiencies; an empty
+      // grid limit (MW) means no shared connection limit
+      fleet: {
+        enabled: false,
+        gridLimit: '',
+        assets: [{ name: 'Battery 2', pChargeMax: 5, pDischargeMax: 5, socMin: 2, socMax: 20, etaCharge: 0.9, etaDischarge: 0.9 }]
+      },
+      // Stochastic mode: bootstrapped historical days as equally weighted price scenarios
+      stochastic: { enabled: false, numScenarios: 30, lookbackDays: 365, riskAversion: 0, cvarAlpha: 0.95 },
+      // SoC targets as a share of the usable range; terminal mode is 'free', 'initial' (end >= start) or 'target'
+      initialSoCPercent: 50,
+      terminalSoCMode: 'initial',
+      terminalSoCPercent: 50,
       categorizationMethod: 'zscore', // Default to best performing method
       categorizationOptions: { lowThreshold: -0.5, highThreshold: 0.5 },
+      optimizationMethod: 'differential_evolution',
+      optimizationOptions: {},
 
       // Backtest state
       startDate: '2020-01-01',
       endDate: '2020-12-31',
       analysisType: 'monthly',
-      backtestParams: { pMax: 10, socMin: 10, socMax: 40, efficiency: 0.85 }, // 1x to 4x Max Power
+      chainSoC: false, // Carry the final SoC of each backtest period into the next
+      capacityFade: false, // Shrink usable capacity with state of health across backtest periods
+      captureRate: true, // Benchmark each backtest period against the perfect-foresight optimum
+      // ratedThroughput: MWh discharged until endOfLifeSoH, null to leave throughput fade out (see stateOfHealth.js)
+      agingModel: { cycleLife: 6000, endOfLifeSoH: 0.8, calendarFadePerYear: 0.01, ratedThroughput: null },
+      // Walk-forward mode: each day is scheduled on a price forecast from the trailing trainingDays and settled
+      // at the realized prices (forecastModel is one of FORECAST_MODELS in forecasting.js)
+      walkForward: { enabled: false, trainingDays: 30, forecastModel: 'hmm' },
+      backtestParams: {
+        pChargeMax: 10,
+        pDischargeMax: 10,
+        socMin: 10,
+        socMax: 40, // 1x to 4x Max Discharge Power
+        etaCharge: 0.92,
+        etaDischarge: 0.92,
+        selfDischargeRate: 0,
+        auxiliaryLoad: 0,
+        degradationCostPerCycle: 0,
+        degradationExponent: 1,
+        tradingCosts: { importTariff: 0, exportTariff: 0, exchangeFee: 0, bidAskSpread: 0, exciseDuty: 0, vatRate: 0 },
+        reserve: { enabled: false, mode: 'symmetric', capacityPrices: '10', upPrices: '10', downPrices: '5', startHour: 0, endHour: 24, durationHours: 0.25 },
+        // Hourly load/PV profiles (MW) repeat through every period; demand charges are billed per calendar month
+        site: { enabled: false, load: '', pv: '', feedInPrices: '50', allowGridCharging: true, demandCharge: 0 },
+        initialSoCPercent: 50,
+        terminalSoCMode: 'initial',
+        terminalSoCPercent: 50
+      },
 
       // Results state
       optimizationResult: null,
@@ -40,29 +95,51 @@ export const useOptimizationStore = create(
 
       // Actions
       setPriceData: (data) => set({ priceData: data }),
-      setPMax: (value) => set((state) => {
-        // Update SoC values to maintain consistency with new pMax
-        const currentMaxFactor = state.socMax / state.pMax
+      setTimeStep: (value) => set({ timeStep: value }),
+      setPChargeMax: (value) => set({ pChargeMax: value }),
+      setPDischargeMax: (value) => set((state) => {
+        // Capacity is sized in hours of discharge power; keep the duration when the power changes
+        const currentMaxFactor = state.socMax / state.pDischargeMax
         const currentDoD = state.socMax - state.socMin
         
         const newSocMax = value * currentMaxFactor
         const newSocMin = Math.max(0, newSocMax - currentDoD)
         
         return { 
-          pMax: value,
+          pDischargeMax: value,
           socMax: newSocMax,
           socMin: newSocMin
         }
       }),
       setSocMin: (value) => set({ socMin: value }),
       setSocMax: (value) => set({ socMax: value }),
-      setEfficiency: (value) => set({ efficiency: value }),
+      setEtaCharge: (value) => set({ etaCharge: value }),
+      setEtaDischarge: (value) => set({ etaDischarge: value }),
+      setSelfDischargeRate: (value) => set({ selfDischargeRate: value }),
+      setAuxiliaryLoad: (value) => set({ auxiliaryLoad: value }),
+      setDegradationCostPerCycle: (value) => set({ degradationCostPerCycle: value }),
+      setDegradationExponent: (value) => set({ degradationExponent: value }),
+      setTradingCosts: (updates) => set((state) => ({ tradingCosts: { ...state.tradingCosts, ...updates } })),
+      setReserve: (updates) => set((state) => ({ reserve: { ...state.reserve, ...updates } })),
+      setSite: (updates) => set((state) => ({ site: { ...state.site, ...updates } })),
+      setFleet: (updates) => set((state) => ({ fleet: { ...state.fleet, ...updates } })),
+      setStochastic: (updates) => set((state) => ({ stochastic: { ...state.stochastic, ...updates } })),
+      setInitialSoCPercent: (value) => set({ initialSoCPercent: value }),
+      setTerminalSoCMode: (mode) => set({ terminalSoCMode: mode }),
+      setTerminalSoCPercent: (value) => set({ terminalSoCPercent: value }),
       setCategorizationMethod: (method) => set({ categorizationMethod: method }),
       setCategorizationOptions: (options) => set({ categorizationOptions: options }),
+      setOptimizationMethod: (method) => set({ optimizationMethod: method }),
+      setOptimizationOptions: (options) => set({ optimizationOptions: options }),
 
       setStartDate: (date) => set({ startDate: date }),
       setEndDate: (date) => set({ endDate: date }),
       setAnalysisType: (type) => set({ analysisType: type }),
+      setChainSoC: (enabled) => set({ chainSoC: enabled }),
+      setCapacityFade: (enabled) => set({ capacityFade: enabled }),
+      setCaptureRate: (enabled) => set({ captureRate: enabled }),
+      setAgingModel: (model) => set({ agingModel: model }),
+      setWalkForward: (updates) => set((state) => ({ walkForward: { ...state.walkForward, ...updates } })),
       setBacktestParams: (params) => set({ backtestParams: params }),
 
       setOptimizationResult: (result) => set({ optimizationResult: result }),
@@ -92,12 +169,12 @@ export const useOptimizationStore = create(
       updateBacktestParams: (updates) => set((state) => {
         const newParams = { ...state.backtestParams, ...updates }
         
-        // If pMax is being updated, adjust SoC values accordingly
-        if (updates.pMax !== undefined) {
-          const currentMaxFactor = state.backtestParams.socMax / state.backtestParams.pMax
+        // If the discharge power is being updated, adjust SoC values accordingly
+        if (updates.pDischargeMax !== undefined) {
+          const currentMaxFactor = state.backtestParams.socMax / state.backtestParams.pDischargeMax
           const currentDoD = state.backtestParams.socMax - state.backtestParams.socMin
           
-          newParams.socMax = updates.pMax * currentMaxFactor
+          newParams.socMax = updates.pDischargeMax * currentMaxFactor
           newParams.socMin = Math.max(0, newParams.socMax - currentDoD)
         }
         
@@ -110,10 +187,23 @@ export const useOptimizationStore = create(
       getParams: () => {
         const state = get()
         return {
-          pMax: state.pMax,
+          dt: state.timeStep,
+          pChargeMax: state.pChargeMax,
+          pDischargeMax: state.pDischargeMax,
           socMin: state.socMin,
           socMax: state.socMax,
-          efficiency: state.efficiency
+          etaCharge: state.etaCharge,
+          etaDischarge: state.etaDischarge,
+          selfDischargeRate: state.selfDischargeRate,
+          auxiliaryLoad: state.auxiliaryLoad,
+          degradationCostPerCycle: state.degradationCostPerCycle,
+          degradationExponent: state.degradationExponent,
+          tradingCosts: state.tradingCosts,
+          reserve: state.reserve,
+          site: state.site,
+          initialSoCPercent: state.initialSoCPercent,
+          terminalSoCMode: state.terminalSoCMode,
+          terminalSoCPercent: state.terminalSoCPercent
         }
       },
 
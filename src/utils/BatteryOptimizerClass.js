@@ -1,12 +1,18 @@
 // Path: src/utils/BatteryOptimizerClass.js
 
+import { solveLinearProgram } from './linearProgramming.js';
+import { createRandom, generateSeed } from './random.js';
+
 // The BatteryOptimizer class contains the core logic for HMM, Viterbi, and battery scheduling.
 class BatteryOptimizer {
     constructor() {
         this.priceCategories = [];
         this.transitionMatrix = [];
         this.emissionMatrix = [];
+        this.initialProbs = [];
         this.viterbiPath = [];
+        this.gaussianModel = null;
+        this.random = Math.random; // Replaced by a seeded generator in optimize() / setSeed()
     }
 
     // Reset all instance state to ensure fresh start for each optimization
@@ -14,11 +20,100 @@ class BatteryOptimizer {
         this.priceCategories = [];
         this.transitionMatrix = [];
         this.emissionMatrix = [];
+        this.initialProbs = [];
         this.viterbiPath = [];
+        this.gaussianModel = null;
+        this.random = Math.random;
+    }
+
+    // Seeds every stochastic step (k-means++, DE population, mutation, shuffling) so a run can be reproduced exactly.
+    setSeed(seed) {
+        this.random = createRandom(seed);
+    }
+
+    // Number of hidden price regimes requested by the categorization options (3 = Low/Medium/High).
+    getNumStates(method, options = {}) {
+        if (options.numStates) return options.numStates;
+        if (method === 'kmeans' && options.k) return options.k;
+        return 3;
+    }
+
+    // Human-readable labels for each regime, including the optional negative-price and scarcity regimes.
+    getStateLabels(numStates, options = {}) {
+        const { negativeRegime = false, scarcityThreshold = null } = options;
+        const hasScarcity = scarcityThreshold !== null && scarcityThreshold !== undefined;
+        const regularStates = numStates - (negativeRegime ? 1 : 0) - (hasScarcity ? 1 : 0);
+        const regularLabels = {
+            1: ['Price'],
+            2: ['Low', 'High'],
+            3: ['Low', 'Medium', 'High'],
+            4: ['Very Low', 'Low', 'High', 'Very High'],
+            5: ['Very Low', 'Low', 'Medium', 'High', 'Very High']
+        }[regularStates] || Array.from({ length: regularStates }, (_, i) => `State ${i + 1}`);
+
+        return [
+            ...(negativeRegime ? ['Negative'] : []),
+            ...regularLabels,
+            ...(hasScarcity ? ['Scarcity'] : [])
+        ];
+    }
+
+    // Maps a regime to its trading signal: -1 for the lower half (charge), 1 for the upper half (discharge)
+    // and 0 for the middle regime of an odd number of states.
+    getRegimeSignal(state, numStates) {
+        if (state <= Math.floor(numStates / 2)) return -1;
+        if (state > Math.ceil(numStates / 2)) return 1;
+        return 0;
+    }
+
+    // k - 1 thresholds evenly spaced between low and high, splitting a value range into k bands.
+    getSpacedThresholds(low, high, k) {
+        if (k <= 1) return [];
+        if (k === 2) return [(low + high) / 2];
+        return Array.from({ length: k - 1 }, (_, i) => low + (high - low) * i / (k - 2));
+    }
+
+    // 1-indexed band of a value given ascending thresholds (value <= thresholds[i] falls in band i + 1).
+    getBand(value, thresholds) {
+        let band = 1;
+        while (band <= thresholds.length && value > thresholds[band - 1]) band++;
+        return band;
     }
 
     // Enhanced price categorization with multiple methods
     categorizePrices(prices, method = 'quantile', options = {}) {
+        const numStates = this.getNumStates(method, options);
+        const { negativeRegime = false, scarcityThreshold = null } = options;
+        const hasScarcity = scarcityThreshold !== null && scarcityThreshold !== undefined;
+
+        // The Gaussian HMM models price levels directly, so negative and scarcity prices get their own regimes naturally.
+        if ((negativeRegime || hasScarcity) && method !== 'gaussian_hmm') {
+            // Carve out the special regimes first, then split the remaining prices with the chosen method.
+            const regularStates = numStates - (negativeRegime ? 1 : 0) - (hasScarcity ? 1 : 0);
+            if (regularStates < 1) {
+                throw new Error(`${numStates} states are too few for the enabled negative-price/scarcity regimes`);
+            }
+            const isNegative = (price) => negativeRegime && price < 0;
+            const isScarcity = (price) => hasScarcity && price >= scarcityThreshold;
+            const regularPrices = prices.filter(price => !isNegative(price) && !isScarcity(price));
+            const regularCategories = regularPrices.length > 0
+                ? this.categorizePrices(regularPrices, method, {
+                    ...options,
+                    numStates: regularStates,
+                    k: regularStates,
+                    negativeRegime: false,
+                    scarcityThreshold: null
+                })
+                : [];
+            const offset = negativeRegime ? 1 : 0;
+            let index = 0;
+            return prices.map(price => {
+                if (isNegative(price)) return 1;
+                if (isScarcity(price)) return numStates;
+                return offset + regularCategories[index++];
+            });
+        }
+
         switch (method) {
             case 'quantile':
                 return this.categorizeByQuantiles(prices, options);
@@ -30,28 +125,29 @@ class BatteryOptimizer {
                 return this.categorizeByAdaptiveThresholds(prices, options);
             case 'zscore':
                 return this.categorizeByZScore(prices, options);
+            case 'gaussian_hmm':
+                return this.categorizeByGaussianHMM(prices, options);
             default:
                 return this.categorizeByQuantiles(prices, options);
         }
     }
 
-    // Original quantile-based categorization
+    // Original quantile-based categorization (evenly spaced percentiles for other than 3 states)
     categorizeByQuantiles(prices, options = {}) {
-        const { lowPercentile = 33, highPercentile = 67 } = options;
+        const { lowPercentile = 33, highPercentile = 67, numStates = 3 } = options;
+        const percentiles = options.percentiles || (numStates === 3
+            ? [lowPercentile, highPercentile]
+            : Array.from({ length: numStates - 1 }, (_, i) => (i + 1) * 100 / numStates));
         const sorted = [...prices].sort((a, b) => a - b);
-        const qLow = sorted[Math.floor(sorted.length * lowPercentile / 100)];
-        const qHigh = sorted[Math.floor(sorted.length * highPercentile / 100)];
+        const quantiles = percentiles.map(p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))]);
 
-        return prices.map(price => {
-            if (price <= qLow) return 1; // Low price category
-            if (price <= qHigh) return 2; // Medium price category
-            return 3; // High price category
-        });
+        // Category 1 is the lowest price band, category numStates the highest
+        return prices.map(price => this.getBand(price, quantiles));
     }
 
     // K-means clustering for price categorization
     categorizeByKMeans(prices, options = {}) {
-        const { k = 3, maxIterations = 100, tolerance = 0.001 } = options;
+        const { k = options.numStates || 3, maxIterations = 100, tolerance = 0.001 } = options;
         
         // Initialize centroids using k-means++ method
         const centroids = this.kMeansPlusPlus(prices, k);
@@ -124,7 +220,7 @@ class BatteryOptimizer {
 
     // K-means++ initialization
     kMeansPlusPlus(prices, k) {
-        const centroids = [prices[Math.floor(Math.random() * prices.length)]];
+        const centroids = [prices[Math.floor(this.random() * prices.length)]];
         
         for (let i = 1; i < k; i++) {
             const distances = prices.map(price => {
@@ -137,7 +233,7 @@ class BatteryOptimizer {
             });
             
             const totalDistance = distances.reduce((sum, d) => sum + d, 0);
-            let random = Math.random() * totalDistance;
+            let random = this.random() * totalDistance;
             let selectedIndex = 0;
             
             for (let j = 0; j < distances.length; j++) {
@@ -156,8 +252,12 @@ class BatteryOptimizer {
 
     // Volatility-based categorization
     categorizeByVolatility(prices, options = {}) {
-        const { windowSize = 24, volatilityThreshold = 0.1 } = options;
+        const { windowSize = 24, volatilityThreshold = 0.1, numStates = 3 } = options;
         const categories = [];
+        const globalMean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+        // Bands around the reference mean: +-5% locally in volatile periods, +-10% of the global mean otherwise
+        const localBands = this.getSpacedThresholds(0.95, 1.05, numStates);
+        const globalBands = this.getSpacedThresholds(0.9, 1.1, numStates);
         
         for (let i = 0; i < prices.length; i++) {
             const start = Math.max(0, i - windowSize + 1);
@@ -168,23 +268,10 @@ class BatteryOptimizer {
             
             if (volatility > volatilityThreshold) {
                 // High volatility periods - categorize based on price relative to local mean
-                if (prices[i] < mean * 0.95) {
-                    categories.push(1); // Low
-                } else if (prices[i] > mean * 1.05) {
-                    categories.push(3); // High
-                } else {
-                    categories.push(2); // Medium
-                }
+                categories.push(this.getBand(prices[i], localBands.map(b => mean * b)));
             } else {
                 // Low volatility periods - use global statistics
-                const globalMean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-                if (prices[i] < globalMean * 0.9) {
-                    categories.push(1); // Low
-                } else if (prices[i] > globalMean * 1.1) {
-                    categories.push(3); // High
-                } else {
-                    categories.push(2); // Medium
-                }
+                categories.push(this.getBand(prices[i], globalBands.map(b => globalMean * b)));
             }
         }
         
@@ -193,7 +280,7 @@ class BatteryOptimizer {
 
     // Adaptive thresholds based on market conditions
     categorizeByAdaptiveThresholds(prices, options = {}) {
-        const { sensitivity = 0.2, minSpread = 0.1 } = options;
+        const { sensitivity = 0.2, minSpread = 0.1, numStates = 3 } = options;
         const categories = [];
         
         // Calculate rolling statistics
@@ -228,13 +315,8 @@ class BatteryOptimizer {
                 highThreshold += adjustment;
             }
             
-            if (price <= lowThreshold) {
-                categories.push(1); // Low
-            } else if (price >= highThreshold) {
-                categories.push(3); // High
-            } else {
-                categories.push(2); // Medium
-            }
+            // Low at or below the low threshold, High above the high threshold, intermediate bands in between
+            categories.push(this.getBand(price, this.getSpacedThresholds(lowThreshold, highThreshold, numStates)));
         }
         
         return categories;
@@ -242,22 +324,25 @@ class BatteryOptimizer {
 
     // Z-score based categorization
     categorizeByZScore(prices, options = {}) {
-        const { lowThreshold = -0.5, highThreshold = 0.5 } = options;
+        const { lowThreshold = -0.5, highThreshold = 0.5, numStates = 3 } = options;
         const mean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
         const std = Math.sqrt(prices.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / prices.length);
+        const thresholds = options.thresholds || this.getSpacedThresholds(lowThreshold, highThreshold, numStates);
         
-        return prices.map(price => {
-            const zScore = (price - mean) / std;
-            
-            if (zScore <= lowThreshold) return 1; // Low price category
-            if (zScore >= highThreshold) return 3; // High price category
-            return 2; // Medium price category
-        });
+        // Category 1 at or below the lowest z-score threshold, category numStates above the highest
+        return prices.map(price => this.getBand(std > 0 ? (price - mean) / std : 0, thresholds));
+    }
+
+    // Continuous-emission HMM categorization: the regimes are the Viterbi path of a Gaussian/log-normal HMM fitted
+    // to the raw prices. The fitted model is kept on the instance so optimize() can reuse it without refitting.
+    categorizeByGaussianHMM(prices, options = {}) {
+        this.gaussianModel = this.trainGaussianHMM(prices, options);
+        return this.gaussianModel.path;
     }
 
     // Calculates the transition probabilities between price categories (hidden states).
-    calculateTransitionMatrix(categories) {
-        const transitions = Array(3).fill().map(() => Array(3).fill(0)); // Initialize 3x3 matrix with zeros
+    calculateTransitionMatrix(categories, numStates = 3) {
+        const transitions = Array(numStates).fill().map(() => Array(numStates).fill(0)); // Initialize NxN matrix with zeros
 
         for (let i = 0; i < categories.length - 1; i++) {
             const from = categories[i] - 1; // Convert 1-indexed category to 0-indexed array index
@@ -268,94 +353,231 @@ class BatteryOptimizer {
         // Normalize counts to probabilities, adding a small smoothing factor (0.1) to avoid zero probabilities.
         return transitions.map(row => {
             const sum = row.reduce((a, b) => a + b, 0);
-            if (sum === 0) return [1/3, 1/3, 1/3]; // Fallback if no transitions from a state
-            return row.map(val => (val + 0.1) / (sum + 0.3)); // Laplace smoothing
+            if (sum === 0) return Array(numStates).fill(1 / numStates); // Fallback if no transitions from a state
+            return row.map(val => (val + 0.1) / (sum + 0.1 * numStates)); // Laplace smoothing
         });
     }
 
-    // Initializes the emission matrix (probability of observing an action given a hidden state).
+    // Initializes the emission matrix (probability of observing a price band given a hidden state).
+    // With 3 states the bands are the charge (< 0.8x avg), idle and discharge (> 1.2x avg) actions;
+    // with N states the 0.8x-1.2x range is split into N bands so the matrix stays N x N.
     initializeEmissionMatrix(prices, categorizationMethod = 'quantile', categorizationOptions = {}) {
         const categories = this.categorizePrices(prices, categorizationMethod, categorizationOptions);
-        // Initialize counts for charge, idle, discharge for each of the 3 price categories.
-        const categoryStats = [
-            { charge: 0, idle: 0, discharge: 0 },
-            { charge: 0, idle: 0, discharge: 0 },
-            { charge: 0, idle: 0, discharge: 0 }
-        ];
+        const numStates = this.getNumStates(categorizationMethod, categorizationOptions);
+        // Initialize band counts for each price category.
+        const categoryStats = Array.from({ length: numStates }, () => Array(numStates).fill(0));
 
         const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+        const bandThresholds = this.getSpacedThresholds(avgPrice * 0.8, avgPrice * 1.2, numStates);
         
         categories.forEach((cat, i) => {
-            const price = prices[i];
             // Simple heuristic for action based on price relative to average.
-            if (price < avgPrice * 0.8) { // Low price, likely to charge
-                categoryStats[cat - 1].charge++;
-            } else if (price > avgPrice * 1.2) { // High price, likely to discharge
-                categoryStats[cat - 1].discharge++;
-            } else { // Medium price, likely to idle
-                categoryStats[cat - 1].idle++;
-            }
+            const band = this.getBand(prices[i], bandThresholds);
+            categoryStats[cat - 1][band - 1]++;
         });
 
         // Normalize counts to probabilities, adding smoothing factor.
-        return categoryStats.map(stats => {
-            const total = stats.charge + stats.idle + stats.discharge + 3; // +3 for Laplace smoothing
-            return [
-                (stats.charge + 1) / total,
-                (stats.idle + 1) / total,
-                (stats.discharge + 1) / total
-            ];
+        return categoryStats.map(counts => {
+            const total = counts.reduce((a, b) => a + b, 0) + numStates; // +numStates for Laplace smoothing
+            return counts.map(count => (count + 1) / total);
         });
     }
 
+    // Baum-Welch (EM) training of transition, emission and initial probabilities from an observation sequence.
+    // Observations are 1-indexed symbols (price categories). The initial model seeds EM and fixes the number of
+    // states and symbols. Iterates until the log-likelihood improves by less than `tolerance` or `maxIterations`
+    // is reached. States are reordered by their expected symbol afterwards so state 1 stays the low-price regime.
+    trainBaumWelch(observations, initialModel, options = {}) {
+        const { tolerance = 1e-4, maxIterations = 100, minProbability = 1e-6 } = options;
+        const T = observations.length;
+        const N = initialModel.transitionMatrix.length;
+        const M = initialModel.emissionMatrix[0].length;
+
+        // Keep every probability strictly positive so no state or symbol can be ruled out permanently.
+        const normalize = (row) => {
+            const floored = row.map(p => Math.max(p, minProbability));
+            const sum = floored.reduce((a, b) => a + b, 0);
+            return floored.map(p => p / sum);
+        };
+
+        let A = initialModel.transitionMatrix.map(normalize);
+        let B = initialModel.emissionMatrix.map(normalize);
+        let pi = normalize(initialModel.initialProbs || Array(N).fill(1 / N));
+
+        if (T < 2) {
+            return { transitionMatrix: A, emissionMatrix: B, initialProbs: pi, logLikelihood: 0, iterations: 0, converged: true };
+        }
+
+        const obs = observations.map(o => o - 1);
+        const alpha = Array.from({ length: T }, () => new Float64Array(N));
+        const beta = Array.from({ length: T }, () => new Float64Array(N));
+        const scale = new Float64Array(T);
+
+        let previousLogLikelihood = -Infinity;
+        let logLikelihood = -Infinity;
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < maxIterations) {
+            // E-step, forward pass with per-step scaling (Rabiner) to avoid underflow.
+            for (let i = 0; i < N; i++) alpha[0][i] = pi[i] * B[i][obs[0]];
+            scale[0] = alpha[0].reduce((a, b) => a + b, 0);
+            for (let i = 0; i < N; i++) alpha[0][i] /= scale[0];
+
+            for (let t = 1; t < T; t++) {
+                let sum = 0;
+                for (let j = 0; j < N; j++) {
+                    let acc = 0;
+                    for (let i = 0; i < N; i++) acc += alpha[t - 1][i] * A[i][j];
+                    alpha[t][j] = acc * B[j][obs[t]];
+                    sum += alpha[t][j];
+                }
+                scale[t] = sum;
+                for (let j = 0; j < N; j++) alpha[t][j] /= sum;
+            }
+
+            // Backward pass using the same scaling factors.
+            for (let i = 0; i < N; i++) beta[T - 1][i] = 1;
+            for (let t = T - 2; t >= 0; t--) {
+                for (let i = 0; i < N; i++) {
+                    let acc = 0;
+                    for (let j = 0; j < N; j++) acc += A[i][j] * B[j][obs[t + 1]] * beta[t + 1][j];
+                    beta[t][i] = acc / scale[t + 1];
+                }
+            }
+
+            logLikelihood = 0;
+            for (let t = 0; t < T; t++) logLikelihood += Math.log(scale[t]);
+
+            // M-step: accumulate expected state occupancies and transitions.
+            const gammaSum = new Float64Array(N);
+            const gammaSumExceptLast = new Float64Array(N);
+            const xiSum = Array.from({ length: N }, () => new Float64Array(N));
+            const emissionCounts = Array.from({ length: N }, () => new Float64Array(M));
+            const firstGamma = new Float64Array(N);
+
+            for (let t = 0; t < T; t++) {
+                let norm = 0;
+                for (let i = 0; i < N; i++) norm += alpha[t][i] * beta[t][i];
+                for (let i = 0; i < N; i++) {
+                    const gamma = (alpha[t][i] * beta[t][i]) / norm;
+                    gammaSum[i] += gamma;
+                    emissionCounts[i][obs[t]] += gamma;
+                    if (t < T - 1) gammaSumExceptLast[i] += gamma;
+                    if (t === 0) firstGamma[i] = gamma;
+                }
+                if (t < T - 1) {
+                    for (let i = 0; i < N; i++) {
+                        for (let j = 0; j < N; j++) {
+                            xiSum[i][j] += alpha[t][i] * A[i][j] * B[j][obs[t + 1]] * beta[t + 1][j] / scale[t + 1];
+                        }
+                    }
+                }
+            }
+
+            pi = normalize(Array.from(firstGamma));
+            A = xiSum.map((row, i) => normalize(Array.from(row, v => gammaSumExceptLast[i] > 0 ? v / gammaSumExceptLast[i] : 1 / N)));
+            B = emissionCounts.map((row, i) => normalize(Array.from(row, v => gammaSum[i] > 0 ? v / gammaSum[i] : 1 / M)));
+
+            iterations++;
+            if (Math.abs(logLikelihood - previousLogLikelihood) < tolerance) {
+                converged = true;
+                break;
+            }
+            previousLogLikelihood = logLikelihood;
+        }
+
+        // Relabel states by expected observation so the ordering matches Low -> High categories.
+        const expectedSymbol = B.map(row => row.reduce((sum, p, k) => sum + p * (k + 1), 0));
+        const order = Array.from({ length: N }, (_, i) => i).sort((a, b) => expectedSymbol[a] - expectedSymbol[b]);
+
+        console.log(`Baum-Welch ${converged ? 'converged' : 'stopped'} after ${iterations} iterations, log-likelihood ${logLikelihood.toFixed(2)}`);
+
+        return {
+            transitionMatrix: order.map(i => order.map(j => A[i][j])),
+            emissionMatrix: order.map(i => B[i]),
+            initialProbs: order.map(i => pi[i]),
+            logLikelihood,
+            iterations,
+            converged
+        };
+    }
+
+    // Log of a probability, keeping the historical 0.001 smoothing for entries that are exactly zero.
+    logProbability(p) {
+        return Math.log(p || 0.001);
+    }
+
+    // Numerically stable log(sum(exp(values))).
+    logSumExp(values) {
+        let max = -Infinity;
+        for (const v of values) if (v > max) max = v;
+        if (max === -Infinity) return -Infinity;
+        let sum = 0;
+        for (const v of values) sum += Math.exp(v - max);
+        return max + Math.log(sum);
+    }
+
     // Implements the Viterbi algorithm to find the most likely sequence of hidden states.
-    viterbiDecode(observations, transitionMatrix, emissionMatrix, initialProbs = [1/3, 1/3, 1/3]) {
-        const T = observations.length; // Number of observations (time steps)
+    // Runs entirely in log space on precomputed log matrices, so path scores stay finite on multi-year horizons.
+    viterbiDecode(observations, transitionMatrix, emissionMatrix, initialProbs = null) {
         const N = transitionMatrix.length; // Number of hidden states (price categories)
+        if (!initialProbs) initialProbs = Array(N).fill(1 / N); // Uniform prior over states
+
+        // Precompute log probabilities once instead of taking logs inside the recursion.
+        const logPi = initialProbs.map(p => this.logProbability(p));
+        const logA = transitionMatrix.map(row => row.map(p => this.logProbability(p)));
+        const logB = emissionMatrix.map(row => row.map(p => this.logProbability(p)));
+        const logEmission = (t, s) => logB[s][observations[t] - 1] ?? Math.log(0.001);
 
+        return this.viterbiDecodeLog(observations.length, logPi, logA, logEmission);
+    }
+
+    // Viterbi recursion on log probabilities. logEmission(t, s) is the log-likelihood of hour t under state s,
+    // so the same decoder serves discrete symbols and continuous (Gaussian) emissions. Returns 1-indexed states.
+    viterbiDecodeLog(T, logPi, logA, logEmission) {
+        const N = logA.length;
         if (T === 0) return []; // Handle empty observation sequence
 
-        // Viterbi matrix: stores the maximum probability of a path ending at state s at time t.
-        const viterbi = Array(T).fill().map(() => Array(N).fill(-Infinity));
-        // Path matrix: stores the predecessor state that led to the maximum probability.
-        const path = Array(T).fill().map(() => Array(N).fill(0));
+        // Only the previous row of log scores is needed; the path matrix keeps the best predecessor per step.
+        let scores = new Float64Array(N);
+        let nextScores = new Float64Array(N);
+        const path = Array.from({ length: T }, () => new Int32Array(N));
 
         // Initialization step (t=0).
         for (let s = 0; s < N; s++) {
-            const emission = emissionMatrix[s][observations[0] - 1] || 0.001; // Get emission probability, use 0.001 for smoothing
-            viterbi[0][s] = Math.log(initialProbs[s]) + Math.log(emission); // Use log probabilities to prevent underflow
+            scores[s] = logPi[s] + logEmission(0, s);
         }
 
         // Recursion step (t=1 to T-1).
         for (let t = 1; t < T; t++) {
             for (let s = 0; s < N; s++) {
-                let maxProb = -Infinity;
+                let maxScore = -Infinity;
                 let maxState = 0;
 
                 for (let prevS = 0; prevS < N; prevS++) {
-                    const trans = transitionMatrix[prevS][s] || 0.001; // Transition probability
-                    const prob = viterbi[t-1][prevS] + Math.log(trans);
-                    if (prob > maxProb) {
-                        maxProb = prob;
+                    const score = scores[prevS] + logA[prevS][s];
+                    if (score > maxScore) {
+                        maxScore = score;
                         maxState = prevS;
                     }
                 }
 
-                const emission = emissionMatrix[s][observations[t] - 1] || 0.001;
-                viterbi[t][s] = maxProb + Math.log(emission);
+                nextScores[s] = maxScore + logEmission(t, s);
                 path[t][s] = maxState;
             }
+            [scores, nextScores] = [nextScores, scores];
         }
 
         // Termination and Path Backtracking.
         const bestPath = Array(T);
-        let maxProb = -Infinity;
+        let maxScore = -Infinity;
         let bestLastState = 0;
 
-        // Find the last state with the highest probability.
+        // Find the last state with the highest log score.
         for (let s = 0; s < N; s++) {
-            if (viterbi[T-1][s] > maxProb) {
-                maxProb = viterbi[T-1][s];
+            if (scores[s] > maxScore) {
+                maxScore = scores[s];
                 bestLastState = s;
             }
         }
@@ -369,11 +591,457 @@ class BatteryOptimizer {
         return bestPath;
     }
 
-    // Optimizes battery charge/discharge schedule using constrained optimization
-    optimizeBatterySchedule(prices, viterbiPath, params) {
-        // Use differential evolution for sophisticated optimization with Viterbi path guidance
-        console.log('Using differential evolution optimization with Viterbi path guidance');
-        return this.differentialEvolutionOptimize(prices, params, viterbiPath);
+    // Log-space forward-backward pass. Returns per-hour posterior state probabilities P(state | all observations)
+    // as a T x N array, plus the sequence log-likelihood. Uses the same log matrices as viterbiDecode.
+    forwardBackward(observations, transitionMatrix, emissionMatrix, initialProbs = null) {
+        const N = transitionMatrix.length;
+        if (!initialProbs) initialProbs = Array(N).fill(1 / N);
+
+        const logPi = initialProbs.map(p => this.logProbability(p));
+        const logA = transitionMatrix.map(row => row.map(p => this.logProbability(p)));
+        const logB = emissionMatrix.map(row => row.map(p => this.logProbability(p)));
+        const logEmission = (t, s) => logB[s][observations[t] - 1] ?? Math.log(0.001);
+
+        const { posteriors, logLikelihood } = this.forwardBackwardLog(observations.length, logPi, logA, logEmission);
+        return { posteriors, logLikelihood };
+    }
+
+    // Forward-backward recursion on log probabilities (see viterbiDecodeLog for logEmission).
+    // Also returns the log forward/backward variables, which EM training needs for expected transitions.
+    forwardBackwardLog(T, logPi, logA, logEmission) {
+        const N = logA.length;
+        if (T === 0) return { posteriors: [], logLikelihood: 0, logAlpha: [], logBeta: [] };
+
+        const logAlpha = Array.from({ length: T }, () => new Float64Array(N));
+        const logBeta = Array.from({ length: T }, () => new Float64Array(N));
+        const terms = new Float64Array(N);
+
+        // Forward pass: logAlpha[t][s] = log P(o_1..o_t, state_t = s).
+        for (let s = 0; s < N; s++) logAlpha[0][s] = logPi[s] + logEmission(0, s);
+        for (let t = 1; t < T; t++) {
+            for (let s = 0; s < N; s++) {
+                for (let prevS = 0; prevS < N; prevS++) terms[prevS] = logAlpha[t-1][prevS] + logA[prevS][s];
+                logAlpha[t][s] = this.logSumExp(terms) + logEmission(t, s);
+            }
+        }
+
+        // Backward pass: logBeta[t][s] = log P(o_t+1..o_T | state_t = s); logBeta[T-1] = log 1 = 0.
+        for (let t = T-2; t >= 0; t--) {
+            for (let s = 0; s < N; s++) {
+                for (let nextS = 0; nextS < N; nextS++) {
+                    terms[nextS] = logA[s][nextS] + logEmission(t+1, nextS) + logBeta[t+1][nextS];
+                }
+                logBeta[t][s] = this.logSumExp(terms);
+            }
+        }
+
+        const logLikelihood = this.logSumExp(logAlpha[T-1]);
+
+        // Normalize per hour rather than by the global likelihood to absorb accumulated round-off.
+        const posteriors = Array(T);
+        for (let t = 0; t < T; t++) {
+            for (let s = 0; s < N; s++) terms[s] = logAlpha[t][s] + logBeta[t][s];
+            const norm = this.logSumExp(terms);
+            posteriors[t] = Array.from(terms, v => Math.exp(v - norm));
+        }
+
+        return { posteriors, logLikelihood, logAlpha, logBeta };
+    }
+
+    // Continuous HMM: each hidden regime emits prices from a Gaussian, or a log-normal on prices shifted to be
+    // positive. Means, variances, transitions and initial probabilities are learned with Baum-Welch in log space.
+    // States start from equal-count price bands and are sorted by mean afterwards, so state 1 is the low regime.
+    trainGaussianHMM(prices, options = {}) {
+        const {
+            numStates = 3,
+            emissionDistribution = 'gaussian',
+            maxIterations = 100,
+            tolerance = 1e-4,
+            minProbability = 1e-6
+        } = options;
+        const T = prices.length;
+        const N = numStates;
+        const isLogNormal = emissionDistribution === 'lognormal';
+
+        // Log-normal works on log(price - shift); the shift keeps negative prices in the domain.
+        const minPrice = prices.reduce((min, p) => Math.min(min, p), Infinity);
+        const shift = isLogNormal ? Math.min(0, minPrice - 1) : 0;
+        const x = isLogNormal ? prices.map(p => Math.log(p - shift)) : [...prices];
+        // Jacobian of the log transform, so log-likelihoods of both forms are in price units and comparable.
+        const jacobian = isLogNormal ? x.reduce((sum, v) => sum + v, 0) : 0;
+
+        const overallMean = x.reduce((a, b) => a + b, 0) / T;
+        const overallVariance = x.reduce((sum, v) => sum + (v - overallMean) ** 2, 0) / T;
+        // Variance floor stops a regime from collapsing onto a single repeated price.
+        const minVariance = Math.max(overallVariance * 1e-3, 1e-9);
+
+        // Seed each state with the mean and variance of an equal-count band of sorted values.
+        const sorted = [...x].sort((a, b) => a - b);
+        let means = Array(N);
+        let variances = Array(N);
+        for (let s = 0; s < N; s++) {
+            const band = sorted.slice(Math.floor(s * T / N), Math.max(Math.floor((s + 1) * T / N), Math.floor(s * T / N) + 1));
+            const bandMean = band.reduce((a, b) => a + b, 0) / band.length;
+            means[s] = bandMean;
+            variances[s] = Math.max(band.reduce((sum, v) => sum + (v - bandMean) ** 2, 0) / band.length, minVariance);
+        }
+
+        const normalize = (row) => {
+            const floored = row.map(p => Math.max(p, minProbability));
+            const sum = floored.reduce((a, b) => a + b, 0);
+            return floored.map(p => p / sum);
+        };
+        // Regimes are persistent, so start from a sticky transition matrix.
+        let A = Array.from({ length: N }, (_, i) => normalize(Array.from({ length: N }, (_, j) => i === j ? 0.9 : 0.1 / Math.max(N - 1, 1))));
+        let pi = Array(N).fill(1 / N);
+
+        const logGaussian = (value, mean, variance) =>
+            -0.5 * (Math.log(2 * Math.PI * variance) + (value - mean) ** 2 / variance);
+        const buildLogEmissions = () => x.map(v => Float64Array.from({ length: N }, (_, s) => logGaussian(v, means[s], variances[s])));
+
+        let logEmissions = buildLogEmissions();
+        let previousLogLikelihood = -Infinity;
+        let logLikelihood = -Infinity;
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < maxIterations && T > 1) {
+            const logA = A.map(row => row.map(p => Math.log(p)));
+            const logPi = pi.map(p => Math.log(p));
+            const { posteriors, logAlpha, logBeta, logLikelihood: stepLogLikelihood } =
+                this.forwardBackwardLog(T, logPi, logA, (t, s) => logEmissions[t][s]);
+            logLikelihood = stepLogLikelihood;
+
+            // M-step: expected transitions, then posterior-weighted means and variances.
+            const xiSum = Array.from({ length: N }, () => new Float64Array(N));
+            for (let t = 0; t < T - 1; t++) {
+                for (let i = 0; i < N; i++) {
+                    for (let j = 0; j < N; j++) {
+                        xiSum[i][j] += Math.exp(logAlpha[t][i] + logA[i][j] + logEmissions[t+1][j] + logBeta[t+1][j] - logLikelihood);
+                    }
+                }
+            }
+
+            const gammaSum = new Float64Array(N);
+            const weightedSum = new Float64Array(N);
+            for (let t = 0; t < T; t++) {
+                for (let s = 0; s < N; s++) {
+                    gammaSum[s] += posteriors[t][s];
+                    weightedSum[s] += posteriors[t][s] * x[t];
+                }
+            }
+            means = means.map((mean, s) => gammaSum[s] > 0 ? weightedSum[s] / gammaSum[s] : mean);
+            const weightedSquares = new Float64Array(N);
+            for (let t = 0; t < T; t++) {
+                for (let s = 0; s < N; s++) weightedSquares[s] += posteriors[t][s] * (x[t] - means[s]) ** 2;
+            }
+            variances = variances.map((variance, s) => gammaSum[s] > 0 ? Math.max(weightedSquares[s] / gammaSum[s], minVariance) : variance);
+
+            A = xiSum.map(row => {
+                const rowSum = row.reduce((a, b) => a + b, 0);
+                return normalize(Array.from(row, v => rowSum > 0 ? v / rowSum : 1 / N));
+            });
+            pi = normalize(posteriors[0]);
+            logEmissions = buildLogEmissions();
+
+            iterations++;
+            if (Math.abs(logLikelihood - previousLogLikelihood) < tolerance) {
+                converged = true;
+                break;
+            }
+            previousLogLikelihood = logLikelihood;
+        }
+
+        // Relabel states by mean so the ordering matches Low -> High regimes.
+        const order = Array.from({ length: N }, (_, i) => i).sort((a, b) => means[a] - means[b]);
+        means = order.map(i => means[i]);
+        variances = order.map(i => variances[i]);
+        A = order.map(i => order.map(j => A[i][j]));
+        pi = order.map(i => pi[i]);
+        logEmissions = buildLogEmissions();
+
+        const logA = A.map(row => row.map(p => Math.log(p)));
+        const logPi = pi.map(p => Math.log(p));
+        const logEmission = (t, s) => logEmissions[t][s];
+        const path = this.viterbiDecodeLog(T, logPi, logA, logEmission);
+        const { posteriors, logLikelihood: finalLogLikelihood } = this.forwardBackwardLog(T, logPi, logA, logEmission);
+
+        // Price-space mean and standard deviation of each regime, for display next to the discrete emission tables.
+        const priceMoments = means.map((mean, s) => {
+            if (!isLogNormal) return [mean, Math.sqrt(variances[s])];
+            const v = variances[s];
+            return [shift + Math.exp(mean + v / 2), Math.sqrt((Math.exp(v) - 1) * Math.exp(2 * mean + v))];
+        });
+
+        console.log(`Gaussian HMM (${emissionDistribution}) ${converged ? 'converged' : 'stopped'} after ${iterations} iterations, log-likelihood ${(finalLogLikelihood - jacobian).toFixed(2)}`);
+
+        return {
+            path,
+            posteriors,
+            transitionMatrix: A,
+            initialProbs: pi,
+            emissionModel: { distribution: emissionDistribution, means, variances, shift, priceMoments },
+            logLikelihood: finalLogLikelihood - jacobian,
+            iterations,
+            converged
+        };
+    }
+
+    // Power limits, one-way efficiencies and standing losses of the battery, converted to one time step of
+    // params.dt hours (default 1; 0.25 for 15-minute prices). Schedules hold the energy (MWh) bought and sold in
+    // each step, metered at the grid connection: charging c from the grid stores etaCharge * c, and delivering d to
+    // the grid draws d / etaDischarge from storage. Powers (pChargeMax, pDischargeMax, auxiliaryLoad) are in MW;
+    // params with only pMax and a round-trip efficiency use pMax in both directions and put all losses on the
+    // charging side. selfDischargeRate is the share of the stored energy lost per hour, and auxiliaryLoad
+    // (e.g. HVAC and BMS) is bought from the grid all the time; both default to zero.
+    getBatteryLimits(params) {
+        const valueOr = (value, fallback) => Number.isFinite(value) ? value : fallback;
+        const dt = valueOr(params.dt, 1);
+        return {
+            dt,
+            maxChargeEnergy: valueOr(params.pChargeMax, params.pMax) * dt,
+            maxDischargeEnergy: valueOr(params.pDischargeMax, params.pMax) * dt,
+            etaCharge: valueOr(params.etaCharge, valueOr(params.efficiency, 1)),
+            etaDischarge: valueOr(params.etaDischarge, 1),
+            stepSelfDischarge: 1 - Math.pow(1 - valueOr(params.selfDischargeRate, 0), dt),
+            auxiliaryEnergy: valueOr(params.auxiliaryLoad, 0) * dt
+        };
+    }
+
+    // Prices the battery actually trades at once the cost layer in params.tradingCosts is applied (€/MWh unless
+    // noted, all default to zero). Imports pay half the bid/ask spread, the exchange fee, the network import tariff
+    // and excise duty, plus non-recoverable VAT (vatRate, a share of the import price); exports receive the market
+    // price less half the spread, the exchange fee and the network export tariff. Schedulers trade against these.
+    // Behind the meter (params.site) the prices are retail tariffs that already include these costs.
+    getTradingPrices(prices, params) {
+        if (params.site) return { buy: prices, sell: prices };
+        const {
+            importTariff = 0,
+            exportTariff = 0,
+            exchangeFee = 0,
+            bidAskSpread = 0,
+            exciseDuty = 0,
+            vatRate = 0
+        } = params.tradingCosts || {};
+        return {
+            buy: prices.map(price => (price + bidAskSpread / 2 + exchangeFee + importTariff + exciseDuty) * (1 + vatRate)),
+            sell: prices.map(price => price - bidAskSpread / 2 - exchangeFee - exportTariff)
+        };
+    }
+
+    // Frequency-reserve participation (FCR/aFRR capacity) from params.reserve, resolved per step, or null when
+    // reserve is off. mode 'symmetric' offers the same MW up and down at capacityPrices; 'asymmetric' sizes
+    // upward (extra discharge) and downward (extra charge) reserve separately at upPrices and downPrices.
+    // Prices are €/MW per hour and may be a single number, one value per step, or an hourly profile that repeats
+    // (e.g. 24 values). hours lists the hours of day (0-23, counted from the start of the horizon) in which reserve
+    // may be offered, null for all. durationHours is how long the reserved power must be deliverable, which sets
+    // the SoC headroom it needs. Activation energy is assumed to net out and is not scheduled.
+    getReserveModel(prices, params) {
+        const reserve = params.reserve;
+        if (!reserve || reserve.enabled === false) return null;
+
+        const { dt } = this.getBatteryLimits(params);
+        const T = prices.length;
+        const symmetric = reserve.mode !== 'asymmetric';
+        return {
+            symmetric,
+            upPrices: this.getStepSeries(symmetric ? reserve.capacityPrices : reserve.upPrices, T, dt),
+            downPrices: this.getStepSeries(symmetric ? reserve.capacityPrices : reserve.downPrices, T, dt),
+            eligible: Array.from({ length: T }, (_, t) => !reserve.hours || reserve.hours.includes(Math.floor(t * dt) % 24)),
+            durationHours: Number.isFinite(reserve.durationHours) ? reserve.durationHours : 0.25
+        };
+    }
+
+    // Behind-the-meter site (PV + load + battery) from params.site, resolved per step, or null for wholesale
+    // arbitrage. load and pv are site consumption and PV generation in MW; the prices passed to the optimizer are
+    // the retail import tariff and feedInPrices (€/MWh) is paid for exports. Every series may be a single number,
+    // one value per step, or an hourly profile that repeats. With allowGridCharging false the battery only stores
+    // PV surplus. Returned series are energies (MWh) per step. The site meter nets imports and exports within a
+    // step, so the feed-in price is capped at the import tariff (above it the bill is no longer convex and the
+    // linear program would import and export at once). demandCharge (€/MW) is billed on the highest average
+    // grid import of any step in each billing period; billingPeriods labels every step with its period (e.g. the
+    // calendar month) and without it the whole horizon is one billing period. peakFloors maps billing periods to
+    // a peak import (MW) already reached before the horizon, which is billed whatever the battery does.
+    getSiteModel(prices, params) {
+        const site = params.site;
+        if (!site || site.enabled === false) return null;
+
+        const { dt } = this.getBatteryLimits(params);
+        const T = prices.length;
+        return {
+            load: this.getStepSeries(site.load, T, dt).map(power => Math.max(0, power) * dt),
+            pv: this.getStepSeries(site.pv, T, dt).map(power => Math.max(0, power) * dt),
+            importPrices: prices,
+            exportPrices: this.getStepSeries(site.feedInPrices, T, dt).map((price, t) => Math.min(price, prices[t])),
+            allowGridCharging: site.allowGridCharging !== false,
+            demandCharge: Number.isFinite(site.demandCharge) ? Math.max(0, site.demandCharge) : 0,
+            billingPeriods: Array.isArray(site.billingPeriods) && site.billingPeriods.length === T ? site.billingPeriods : Array(T).fill(null),
+            peakFloors: site.peakFloors || {}
+        };
+    }
+
+    // Expands an input series to one value per step of dt hours: a number is constant, a series of length T is
+    // used as is, and any other length is an hourly profile that repeats. Missing values are zero.
+    getStepSeries(series, T, dt) {
+        return Array.from({ length: T }, (_, t) => {
+            if (!Array.isArray(series)) return Number.isFinite(series) ? series : 0;
+            if (series.length === T) return series[t];
+            return series.length > 0 ? series[Math.floor(t * dt) % series.length] : 0;
+        });
+    }
+
+    // Splits the site's energy per step into flows between PV, load, battery and grid. PV serves the load first,
+    // then charges the battery and exports the rest; battery discharge serves the remaining load before exporting;
+    // the grid covers whatever load and charging is left.
+    getEnergyFlows(site, charging, discharging) {
+        const flows = {
+            pvToLoad: [], pvToBattery: [], pvToGrid: [],
+            batteryToLoad: [], batteryToGrid: [],
+            gridToLoad: [], gridToBattery: []
+        };
+        for (let t = 0; t < charging.length; t++) {
+            const pvToLoad = Math.min(site.pv[t], site.load[t]);
+            const pvToBattery = Math.min(site.pv[t] - pvToLoad, charging[t]);
+            const batteryToLoad = Math.min(discharging[t], site.load[t] - pvToLoad);
+            flows.pvToLoad.push(pvToLoad);
+            flows.pvToBattery.push(pvToBattery);
+            flows.pvToGrid.push(site.pv[t] - pvToLoad - pvToBattery);
+            flows.batteryToLoad.push(batteryToLoad);
+            flows.batteryToGrid.push(discharging[t] - batteryToLoad);
+            flows.gridToLoad.push(site.load[t] - pvToLoad - batteryToLoad);
+            flows.gridToBattery.push(charging[t] - pvToBattery);
+        }
+        return flows;
+    }
+
+    // Change in stored energy for one step of metered charging and discharging.
+    getStoredEnergyChange(charge, discharge, limits) {
+        return charge * limits.etaCharge - discharge / limits.etaDischarge;
+    }
+
+    // SoC at the end of a step: standby losses on the SoC at its start, then the metered charge and discharge.
+    getNextSoC(soc, charge, discharge, limits) {
+        return soc * (1 - limits.stepSelfDischarge) + this.getStoredEnergyChange(charge, discharge, limits);
+    }
+
+    // Starting SoC of the horizon: params.initialSoC (clamped to the SoC limits), or mid-range when not given.
+    getInitialSoC(params) {
+        if (!Number.isFinite(params.initialSoC)) return (params.socMin + params.socMax) / 2;
+        return Math.max(params.socMin, Math.min(params.socMax, params.initialSoC));
+    }
+
+    // Minimum SoC at the end of the horizon, or null for a free end.
+    // params.terminalSoC is a value in MWh, or 'initial' for "end at least where it started".
+    getTerminalSoC(params) {
+        if (params.terminalSoC === 'initial') return this.getInitialSoC(params);
+        if (!Number.isFinite(params.terminalSoC)) return null;
+        return Math.max(params.socMin, Math.min(params.socMax, params.terminalSoC));
+    }
+
+    // Prices (€/MWh stored) at which the change in stored energy over the horizon is valued, { surplus, deficit }.
+    // Energy left above the initial SoC is worth what it can surely be sold for, the lowest sell (behind the meter,
+    // feed-in) price of the horizon after discharge losses and never below zero; energy missing below it costs the
+    // mean buy (import) price to put back, after charge losses. Both sides are conservative, so a schedule gains
+    // nothing by filling up or draining at the end. params.terminalEnergyPrice, one price for both sides or
+    // { surplus, deficit }, replaces them. Every scheduler uses the same valuation.
+    getTerminalEnergyPrices(prices, params) {
+        const override = params.terminalEnergyPrice;
+        if (Number.isFinite(override)) return { surplus: override, deficit: override };
+        if (override && Number.isFinite(override.surplus) && Number.isFinite(override.deficit)) {
+            return { surplus: override.surplus, deficit: override.deficit };
+        }
+        if (prices.length === 0) return { surplus: 0, deficit: 0 };
+
+        const { etaCharge, etaDischarge } = this.getBatteryLimits(params);
+        const site = this.getSiteModel(prices, params);
+        const { buy, sell } = site ? { buy: site.importPrices, sell: site.exportPrices } : this.getTradingPrices(prices, params);
+        const surplus = Math.max(0, sell.reduce((lowest, price) => Math.min(lowest, price), Infinity)) * etaDischarge;
+        const deficit = buy.reduce((sum, price) => sum + price, 0) / buy.length / etaCharge;
+        // The deficit price is never below the surplus price, so the valuation stays concave
+        return { surplus, deficit: Math.max(surplus, deficit) };
+    }
+
+    // Value of ending the horizon at finalSoC rather than at the initial SoC, at getTerminalEnergyPrices.
+    getInventoryValue(finalSoC, prices, params, terminalPrices = this.getTerminalEnergyPrices(prices, params)) {
+        const change = finalSoC - this.getInitialSoC(params);
+        return change * (change > 0 ? terminalPrices.surplus : terminalPrices.deficit);
+    }
+
+    // Records the end-of-horizon SoC and the value of the stored-energy change on a schedule, and books the
+    // standing losses. The auxiliary load does not depend on the schedule, so its cost (at the net import price) is
+    // deducted from the per-step revenue here rather than in every scheduler. Degradation is costed from rainflow
+    // cycles of the whole SoC path. tradingCosts is what fees, tariffs, taxes and the spread took from the revenue
+    // the same schedule would earn at market prices.
+    finalizeSchedule(schedule, prices, params, finalSoC) {
+        const { stepSelfDischarge, auxiliaryEnergy } = this.getBatteryLimits(params);
+        const { buy, sell } = this.getTradingPrices(prices, params);
+        const degradation = this.calculateDegradation([...schedule.soc, finalSoC], params);
+        schedule.finalSoC = finalSoC;
+        schedule.equivalentFullCycles = degradation.equivalentFullCycles;
+        schedule.degradationCost = degradation.degradationCost;
+        schedule.cycleDepths = degradation.cycles.map(cycle => ({ depth: cycle.depth, count: cycle.count }));
+        schedule.inventoryValue = this.getInventoryValue(finalSoC, prices, params);
+        schedule.selfDischargeLoss = schedule.soc.reduce((sum, soc) => sum + soc * stepSelfDischarge, 0);
+        schedule.auxiliaryCost = 0;
+        schedule.tradingCosts = 0;
+        for (let t = 0; t < prices.length; t++) {
+            const cost = auxiliaryEnergy * buy[t];
+            schedule.revenue[t] -= cost;
+            schedule.auxiliaryCost += cost;
+            schedule.tradingCosts += (schedule.charging[t] + auxiliaryEnergy) * (buy[t] - prices[t])
+                + schedule.discharging[t] * (prices[t] - sell[t]);
+        }
+        return schedule;
+    }
+
+    // Total value of a schedule: per-step trading revenue plus the value of the change in stored energy and the
+    // demand charges saved by peak shaving, less the degradation cost of its cycles.
+    getScheduleValue(schedule) {
+        return schedule.revenue.reduce((sum, rev) => sum + rev, 0) + (schedule.inventoryValue || 0)
+            + (schedule.demandChargeSavings || 0) - (schedule.degradationCost || 0);
+    }
+
+    // Whether params use a mode only the linear-programming scheduler models.
+    requiresLinearProgram(prices, params) {
+        return Boolean(this.getReserveModel(prices, params) || this.getSiteModel(prices, params));
+    }
+
+    // Splits the revenue of a schedule into its sources; the parts add up to getScheduleValue less the value of
+    // the stored-energy change, i.e. to the totalRevenue of summarizeSchedule.
+    getRevenueStack(schedule) {
+        const reserveCapacity = (schedule.reserveRevenue || []).reduce((sum, rev) => sum + rev, 0);
+        return {
+            energyArbitrage: schedule.revenue.reduce((sum, rev) => sum + rev, 0) - reserveCapacity,
+            reserveCapacity,
+            peakShaving: schedule.demandChargeSavings || 0,
+            degradationCost: -(schedule.degradationCost || 0)
+        };
+    }
+
+    // Optimizes battery charge/discharge schedule using the selected scheduler. Reserve co-optimization
+    // (params.reserve) and the behind-the-meter site mode (params.site) are only modelled by the linear program,
+    // so any other method is rejected for them.
+    optimizeBatterySchedule(prices, viterbiPath, params, method = 'differential_evolution', options = {}) {
+        if (method !== 'linear_programming' && this.requiresLinearProgram(prices, params)) {
+            throw new Error(`Reserve co-optimization and the site mode need the linear_programming method, not ${method}`);
+        }
+        switch (method) {
+            case 'linear_programming':
+                // Exact, deterministic optimum; the Viterbi path is not needed when solving exactly
+                console.log('Using exact linear programming optimization');
+                return this.linearProgrammingOptimize(prices, params, options);
+            case 'dynamic_programming':
+                console.log('Using dynamic programming optimization over a discretized SoC grid');
+                return this.dynamicProgrammingOptimize(prices, params, options);
+            case 'simplified':
+                console.log('Using simplified greedy optimization');
+                return this.simpleOptimize(prices, params);
+            case 'differential_evolution':
+            default:
+                // Use differential evolution for sophisticated optimization with Viterbi path guidance
+                console.log('Using differential evolution optimization with Viterbi path guidance');
+                return this.differentialEvolutionOptimize(prices, params, viterbiPath, options);
+        }
     }
 
     // Simplified optimization for testing - bypasses complex constraints
@@ -389,46 +1057,637 @@ class BatteryOptimizer {
 
         if (T === 0) return schedule;
 
-        // Simple greedy strategy: charge at low prices, discharge at high prices
-        const avgPrice = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-        let currentSoC = (params.socMin + params.socMax) / 2;
+        // Simple greedy strategy: charge at low prices, discharge at high prices (net of trading costs)
+        const avgPrice = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+        const { buy, sell } = this.getTradingPrices(prices, params);
+        const limits = this.getBatteryLimits(params);
+        let currentSoC = this.getInitialSoC(params);
+        const terminalSoC = this.getTerminalSoC(params);
+
+        for (let t = 0; t < T; t++) {
+            const buyPrice = buy[t];
+            const sellPrice = sell[t];
+            
+            // Store current SoC
+            schedule.soc[t] = currentSoC;
+
+            // Stored energy the remaining hours can still add net of (at most) their standby losses, to keep the
+            // terminal SoC reachable, and the charge needed to keep standby losses from pulling the SoC below its minimum
+            const standbyLoss = currentSoC * limits.stepSelfDischarge;
+            const recoverableAfter = (T - t - 1) * (limits.maxChargeEnergy * limits.etaCharge - params.socMax * limits.stepSelfDischarge);
+            const terminalCharge = terminalSoC === null ? 0 : (terminalSoC - recoverableAfter - currentSoC + standbyLoss) / limits.etaCharge;
+            const requiredCharge = Math.max(terminalCharge, (params.socMin - currentSoC + standbyLoss) / limits.etaCharge);
+            const dischargeHeadroom = terminalSoC === null ? Infinity : currentSoC - standbyLoss + recoverableAfter - terminalSoC;
+
+            // Simple decision logic (charge and discharge amounts are grid energy)
+            if (requiredCharge > 1e-9) {
+                // Falling behind the terminal or minimum SoC: charge regardless of price, and fully at low prices
+                const wantedCharge = buyPrice < avgPrice * 0.8 ? limits.maxChargeEnergy : requiredCharge;
+                schedule.charging[t] = Math.min(limits.maxChargeEnergy, wantedCharge, (params.socMax - currentSoC + standbyLoss) / limits.etaCharge);
+                schedule.actions[t] = 'charge';
+            } else if (buyPrice < avgPrice * 0.8 && currentSoC < params.socMax * 0.9) {
+                // Charge at low prices if we have room
+                schedule.charging[t] = Math.min(limits.maxChargeEnergy, (params.socMax - currentSoC + standbyLoss) / limits.etaCharge);
+                schedule.actions[t] = 'charge';
+            } else if (sellPrice > avgPrice * 1.2 && currentSoC > params.socMin * 1.1) {
+                // Discharge at high prices if we have energy
+                const storedAvailable = Math.min(currentSoC - standbyLoss - params.socMin, dischargeHeadroom);
+                schedule.discharging[t] = Math.max(0, Math.min(limits.maxDischargeEnergy, storedAvailable * limits.etaDischarge));
+                schedule.actions[t] = schedule.discharging[t] > 0 ? 'discharge' : 'idle';
+            } else {
+                // Idle
+                schedule.actions[t] = 'idle';
+            }
+
+            // Update SoC
+            currentSoC = this.getNextSoC(currentSoC, schedule.charging[t], schedule.discharging[t], limits);
+            currentSoC = Math.max(params.socMin, Math.min(params.socMax, currentSoC));
+
+            // Calculate revenue
+            schedule.revenue[t] = schedule.discharging[t] * sellPrice - schedule.charging[t] * buyPrice;
+        }
+
+        return this.finalizeSchedule(schedule, prices, params, currentSoC);
+    }
+
+    // Exact linear-programming scheduler over charge, discharge and SoC variables.
+    // Variables per step t: grid charge c_t in [0, pChargeMax * dt], grid discharge d_t in [0, pDischargeMax * dt]
+    // (MWh) and end-of-step SoC s_t in [socMin, socMax].
+    // SoC balance: s_t = (1 - selfDischargeRate)^dt * s_{t-1} + etaCharge * c_t - d_t / etaDischarge.
+    // Objective: maximize sum(sell_t * d_t - buy_t * c_t) at the net trading prices less the linearized degradation cost of the stored throughput, plus the
+    // terminal valuation of the stored-energy change s_{T-1} - initialSoC = sigma - delta (surplus sigma and
+    // deficit delta, see getTerminalEnergyPrices); an optional terminal SoC adds s_{T-1} >= terminalSoC.
+    // With params.reserve (see getReserveModel) it also chooses reserved power u_t (up) and w_t (down, the same
+    // variable when symmetric) in MW, paid at the capacity prices. Reserve shares the power limits with arbitrage
+    // (d_t + u_t * dt <= pDischargeMax * dt, c_t + w_t * dt <= pChargeMax * dt) and needs SoC headroom at both ends
+    // of the step: u_t * durationHours / etaDischarge above socMin and w_t * durationHours * etaCharge below socMax.
+    // Behind the meter (params.site, see getSiteModel) the battery trades through the site instead: grid import
+    // g_t and export e_t (MWh) balance g_t - e_t + d_t - c_t = load_t - pv_t, and the objective pays the retail
+    // tariff on g_t and earns the feed-in price on e_t. Schedule revenue is then the bill saving against the same
+    // site without a battery. With a site demand charge, a peak variable P_k (MW) per billing period k bounds the
+    // import of its steps (g_t <= P_k * dt) and the objective pays demandCharge * P_k, so energy cost and peak
+    // demand are minimized jointly.
+    // The result is the true optimum for the battery model and identical on every run. Horizons above the dense
+    // solver's size limit (see MAX_TABLEAU_ENTRIES in linearProgramming.js) are solved in windows instead, see
+    // linearProgrammingWindowOptimize.
+    linearProgrammingOptimize(prices, params, options = {}) {
+        if (prices.length === 0) return { charging: [], discharging: [], soc: [], revenue: [], actions: [] };
+
+        const { maxIterations = 100000, signal = null } = options;
+        const { objective, constraints, upperBounds, readSchedule } = this.buildLinearProgram(prices, params);
+        let solution;
+        try {
+            solution = solveLinearProgram({ objective, constraints, upperBounds, maxIterations, signal });
+        } catch (error) {
+            if (error.name !== 'LinearProgramSizeError') throw error;
+            console.warn(error.message);
+            return this.linearProgrammingWindowOptimize(prices, params, options);
+        }
+        console.log(`Linear programming solver finished: status=${solution.status}, iterations=${solution.iterations}`);
+
+        if (solution.status !== 'optimal') {
+            throw new Error(`Linear programming solver did not find an optimum (${solution.status})`);
+        }
+
+        const schedule = readSchedule(solution.x);
+        console.log(`Linear programming completed. Optimal value: ${this.getScheduleValue(schedule)}`);
+        return schedule;
+    }
+
+    // Linear program of a horizon too large to solve at once, solved in consecutive windows of windowHours (a day
+    // by default) chained on SoC: each window starts from the SoC the previous one ended with and must end high
+    // enough for the steps after it to still reach the terminal SoC, and energy left at the end of a window is
+    // valued at the terminal price of the whole horizon. Behind the meter each window starts from the peak imports
+    // the windows before it set in its billing periods, so it only pays the demand charge for raising them. The
+    // window solutions are then read as one schedule of the horizon, whose bill and peaks are those of the whole
+    // horizon (schedule.windowHours records the window length). Each window is optimal for its own prices,
+    // but the schedule is not the optimum of the whole horizon, as no window sees the prices after it.
+    linearProgrammingWindowOptimize(prices, params, options = {}) {
+        const { maxIterations = 100000, windowHours = 24, signal = null } = options;
+        const T = prices.length;
+        const limits = this.getBatteryLimits(params);
+        const windowSteps = Math.max(1, Math.round(windowHours / limits.dt));
+        const terminalSoC = this.getTerminalSoC(params);
+        const terminalEnergyPrice = this.getTerminalEnergyPrices(prices, params);
+        const reserve = this.getReserveModel(prices, params);
+        const site = this.getSiteModel(prices, params);
+        const horizon = this.buildLinearProgram(prices, params);
+        const x = Array(horizon.objective.length).fill(0);
+        const peakFloors = {};
+
+        // Stored energy the steps from t to the end can add at least (full charging, net of the largest standby losses)
+        const recoverableFrom = Array(T + 1).fill(0);
+        for (let t = T - 1; t >= 0; t--) {
+            recoverableFrom[t] = recoverableFrom[t + 1] + horizon.upperBounds[horizon.chargeIndex(t)] * limits.etaCharge
+                - params.socMax * limits.stepSelfDischarge;
+        }
+
+        console.log(`Solving the linear program in ${Math.ceil(T / windowSteps)} windows of ${windowSteps} steps`);
+        let soc = this.getInitialSoC(params);
+        for (let start = 0; start < T; start += windowSteps) {
+            const end = Math.min(T, start + windowSteps);
+            const steps = end - start;
+            const windowParams = { ...params, initialSoC: soc, terminalSoC: null, terminalEnergyPrice };
+            if (terminalSoC !== null && terminalSoC - recoverableFrom[end] > params.socMin) {
+                windowParams.terminalSoC = Math.min(params.socMax, terminalSoC - recoverableFrom[end]);
+            }
+            if (reserve) {
+                // Capacity prices of the window's steps, zero where reserve may not be offered
+                const windowSeries = (series) => series.slice(start, end).map((price, t) => reserve.eligible[start + t] ? price : 0);
+                windowParams.reserve = {
+                    ...params.reserve,
+                    capacityPrices: windowSeries(reserve.upPrices),
+                    upPrices: windowSeries(reserve.upPrices),
+                    downPrices: windowSeries(reserve.downPrices),
+                    hours: null
+                };
+            }
+            if (site) {
+                const windowSeries = (series) => series.slice(start, end);
+                windowParams.site = {
+                    ...params.site,
+                    load: windowSeries(site.load).map(energy => energy / limits.dt),
+                    pv: windowSeries(site.pv).map(energy => energy / limits.dt),
+                    feedInPrices: windowSeries(site.exportPrices),
+                    billingPeriods: windowSeries(site.billingPeriods),
+                    peakFloors: { ...peakFloors }
+                };
+            }
+
+            const window = this.buildLinearProgram(prices.slice(start, end), windowParams);
+            const solution = solveLinearProgram({
+                objective: window.objective,
+                constraints: window.constraints,
+                upperBounds: window.upperBounds,
+                maxIterations,
+                signal
+            });
+            if (solution.status !== 'optimal') {
+                throw new Error(`Linear programming solver did not find an optimum for steps ${start}-${end - 1} (${solution.status})`);
+            }
+
+            for (let t = 0; t < steps; t++) {
+                x[horizon.chargeIndex(start + t)] = solution.x[window.chargeIndex(t)];
+                x[horizon.dischargeIndex(start + t)] = solution.x[window.dischargeIndex(t)];
+                x[horizon.socIndex(start + t)] = solution.x[window.socIndex(t)];
+                if (reserve) {
+                    x[horizon.upIndex(start + t)] = solution.x[window.upIndex(t)];
+                    x[horizon.downIndex(start + t)] = solution.x[window.downIndex(t)];
+                }
+                if (window.peakIndex) {
+                    const period = site.billingPeriods[start + t];
+                    peakFloors[period] = Math.max(peakFloors[period] || 0, solution.x[window.peakIndex(t)]);
+                }
+            }
+            soc = params.socMin + solution.x[window.socIndex(steps - 1)];
+        }
+
+        const schedule = horizon.readSchedule(x);
+        schedule.windowHours = windowSteps * limits.dt;
+        console.log(`Windowed linear programming completed. Value: ${this.getScheduleValue(schedule)}`);
+        return schedule;
+    }
+
+    // The linear program of linearProgrammingOptimize for one battery: objective, constraints and upper bounds
+    // over its own variables, the indices of its grid charge, discharge, SoC and reserve variables (for rows that
+    // couple several batteries, see optimizeFleet, and for windowed solves) and readSchedule(x), which turns a
+    // solution into a finalized schedule.
+    buildLinearProgram(prices, params) {
+        const T = prices.length;
+        const limits = this.getBatteryLimits(params);
+        const retention = 1 - limits.stepSelfDischarge;
+        const initialSoC = this.getInitialSoC(params);
+        const terminalSoC = this.getTerminalSoC(params);
+        const socRange = params.socMax - params.socMin;
+        const reserve = this.getReserveModel(prices, params);
+        const site = this.getSiteModel(prices, params);
+
+        // Variable layout: [c_0..c_{T-1}, d_0..d_{T-1}, s_0..s_{T-1}], SoC shifted by socMin so its lower bound is 0,
+        // followed by [u_0..u_{T-1}] and, for asymmetric reserve, [w_0..w_{T-1}], then the site's [g_0..g_{T-1}]
+        // and [e_0..e_{T-1}] and, with a demand charge, the peak imports [P_0..P_{K-1}] of the billing periods, and
+        // last the surplus and deficit of the final SoC against the initial SoC.
+        const reserveVars = reserve ? (reserve.symmetric ? T : 2 * T) : 0;
+        const siteBase = 3 * T + reserveVars;
+        const chargeIndex = (t) => t;
+        const dischargeIndex = (t) => T + t;
+        const socIndex = (t) => 2 * T + t;
+        const upIndex = (t) => 3 * T + t;
+        const downIndex = (t) => reserve.symmetric ? upIndex(t) : 4 * T + t;
+        const importIndex = (t) => siteBase + t;
+        const exportIndex = (t) => siteBase + T + t;
+        const peakShaving = Boolean(site && site.demandCharge > 0);
+        const billingPeriods = site ? [...new Set(site.billingPeriods)] : [];
+        const peakIndex = (t) => siteBase + 2 * T + billingPeriods.indexOf(site.billingPeriods[t]);
+        const surplusIndex = siteBase + (site ? 2 * T : 0) + (peakShaving ? billingPeriods.length : 0);
+        const deficitIndex = surplusIndex + 1;
+        const numVars = deficitIndex + 1;
+
+        const objective = Array(numVars).fill(0);
+        const upperBounds = Array(numVars).fill(0);
+        const constraints = [];
+
+        const degradationCostPerMWh = this.getDegradationCostPerMWh(params);
+        const { buy, sell } = this.getTradingPrices(prices, params);
+
+        for (let t = 0; t < T; t++) {
+            objective[chargeIndex(t)] = (site ? 0 : -buy[t]) - degradationCostPerMWh * limits.etaCharge;
+            objective[dischargeIndex(t)] = (site ? 0 : sell[t]) - degradationCostPerMWh / limits.etaDischarge;
+            upperBounds[chargeIndex(t)] = limits.maxChargeEnergy;
+            upperBounds[dischargeIndex(t)] = limits.maxDischargeEnergy;
+            upperBounds[socIndex(t)] = socRange;
+
+            if (site) {
+                // Site balance; the bounds keep import and export finite even where feed-in pays more than import
+                if (!site.allowGridCharging) {
+                    upperBounds[chargeIndex(t)] = Math.min(limits.maxChargeEnergy, Math.max(0, site.pv[t] - site.load[t]));
+                }
+                objective[importIndex(t)] = -site.importPrices[t];
+                objective[exportIndex(t)] = site.exportPrices[t];
+                upperBounds[importIndex(t)] = site.load[t] + limits.maxChargeEnergy;
+                upperBounds[exportIndex(t)] = site.pv[t] + limits.maxDischargeEnergy;
+                constraints.push({
+                    terms: [[importIndex(t), 1], [exportIndex(t), -1], [dischargeIndex(t), 1], [chargeIndex(t), -1]],
+                    type: '=',
+                    rhs: site.load[t] - site.pv[t]
+                });
+                if (peakShaving) {
+                    constraints.push({ terms: [[importIndex(t), 1], [peakIndex(t), -limits.dt]], type: '<=', rhs: 0 });
+                }
+            }
+
+            // SoC balance: s_t - retention * s_{t-1} - etaCharge * c_t + d_t / etaDischarge = 0, written for the
+            // shifted SoC variables (the initial SoC moves to the right-hand side for t = 0)
+            const terms = [
+                [socIndex(t), 1],
+                [chargeIndex(t), -limits.etaCharge],
+                [dischargeIndex(t), 1 / limits.etaDischarge]
+            ];
+            if (t > 0) terms.push([socIndex(t - 1), -retention]);
+            constraints.push({
+                terms,
+                type: '=',
+                rhs: t === 0 ? retention * initialSoC - params.socMin : -limits.stepSelfDischarge * params.socMin
+            });
+        }
+
+        if (reserve) {
+            const upHeadroom = reserve.durationHours / limits.etaDischarge;
+            const downHeadroom = reserve.durationHours * limits.etaCharge;
+            for (let t = 0; t < T; t++) {
+                // Steps without eligibility or a positive capacity price get no reserve rows, keeping the tableau small
+                if (!reserve.eligible[t] || Math.max(reserve.upPrices[t], reserve.downPrices[t]) <= 0) continue;
+                upperBounds[upIndex(t)] = limits.maxDischargeEnergy / limits.dt;
+                upperBounds[downIndex(t)] = reserve.symmetric
+                    ? Math.min(limits.maxDischargeEnergy, limits.maxChargeEnergy) / limits.dt
+                    : limits.maxChargeEnergy / limits.dt;
+                objective[upIndex(t)] = reserve.upPrices[t] * limits.dt;
+                if (!reserve.symmetric) objective[downIndex(t)] = reserve.downPrices[t] * limits.dt;
+
+                // Power shared with arbitrage
+                constraints.push({ terms: [[dischargeIndex(t), 1], [upIndex(t), limits.dt]], type: '<=', rhs: limits.maxDischargeEnergy });
+                constraints.push({ terms: [[chargeIndex(t), 1], [downIndex(t), limits.dt]], type: '<=', rhs: limits.maxChargeEnergy });
+
+                // SoC headroom at the end of the step, and at its start (the initial SoC is a constant for t = 0)
+                constraints.push({ terms: [[upIndex(t), upHeadroom], [socIndex(t), -1]], type: '<=', rhs: 0 });
+                constraints.push({ terms: [[downIndex(t), downHeadroom], [socIndex(t), 1]], type: '<=', rhs: socRange });
+                if (t > 0) {
+                    constraints.push({ terms: [[upIndex(t), upHeadroom], [socIndex(t - 1), -1]], type: '<=', rhs: 0 });
+                    constraints.push({ terms: [[downIndex(t), downHeadroom], [socIndex(t - 1), 1]], type: '<=', rhs: socRange });
+                } else {
+                    constraints.push({ terms: [[upIndex(t), upHeadroom]], type: '<=', rhs: Math.max(0, initialSoC - params.socMin) });
+                    constraints.push({ terms: [[downIndex(t), downHeadroom]], type: '<=', rhs: Math.max(0, params.socMax - initialSoC) });
+                }
+            }
+        }
+
+        if (peakShaving) {
+            for (let t = 0; t < T; t++) {
+                objective[peakIndex(t)] = -site.demandCharge;
+                upperBounds[peakIndex(t)] = Math.max(upperBounds[peakIndex(t)], (site.load[t] + limits.maxChargeEnergy) / limits.dt,
+                    site.peakFloors[site.billingPeriods[t]] || 0);
+            }
+            // A peak already set before the horizon is billed anyway
+            billingPeriods.forEach((period, k) => {
+                if (site.peakFloors[period] > 0) {
+                    constraints.push({ terms: [[siteBase + 2 * T + k, 1]], type: '>=', rhs: site.peakFloors[period] });
+                }
+            });
+        }
+
+        // Energy left above the initial SoC is worth the surplus price, energy missing below it costs the deficit price
+        const terminalPrices = this.getTerminalEnergyPrices(prices, params);
+        objective[surplusIndex] = terminalPrices.surplus;
+        objective[deficitIndex] = -terminalPrices.deficit;
+        upperBounds[surplusIndex] = socRange;
+        upperBounds[deficitIndex] = socRange;
+        constraints.push({
+            terms: [[socIndex(T - 1), 1], [surplusIndex, -1], [deficitIndex, 1]],
+            type: '=',
+            rhs: initialSoC - params.socMin
+        });
+        if (terminalSoC !== null) {
+            constraints.push({ terms: [[socIndex(T - 1), 1]], type: '>=', rhs: terminalSoC - params.socMin });
+        }
+
+        const readSchedule = (x) => {
+            const schedule = {
+                charging: Array(T).fill(0),
+                discharging: Array(T).fill(0),
+                soc: Array(T).fill(0),
+                revenue: Array(T).fill(0),
+                actions: Array(T).fill('idle')
+            };
+            if (reserve) {
+                schedule.reserveUp = Array(T).fill(0);
+                schedule.reserveDown = Array(T).fill(0);
+                schedule.reserveRevenue = Array(T).fill(0);
+            }
+            if (site) {
+                schedule.energyFlows = this.getEnergyFlows(site, x.slice(0, T), x.slice(T, 2 * T));
+                schedule.gridImport = Array(T).fill(0);
+                schedule.gridExport = Array(T).fill(0);
+                schedule.siteSummary = { bill: 0, baselineBill: 0, savings: 0, selfConsumption: 0, selfSufficiency: 0 };
+            }
+
+            let currentSoC = initialSoC;
+            for (let t = 0; t < T; t++) {
+                const charge = x[chargeIndex(t)];
+                const discharge = x[dischargeIndex(t)];
+
+                schedule.charging[t] = charge;
+                schedule.discharging[t] = discharge;
+                // Store SoC at the start of the step, consistent with the other schedulers
+                schedule.soc[t] = currentSoC;
+                currentSoC = params.socMin + x[socIndex(t)];
+                schedule.revenue[t] = discharge * sell[t] - charge * buy[t];
+
+                // Behind the meter the battery earns the bill saving against the site without it
+                if (site) {
+                    const flows = schedule.energyFlows;
+                    schedule.gridImport[t] = flows.gridToLoad[t] + flows.gridToBattery[t];
+                    schedule.gridExport[t] = flows.pvToGrid[t] + flows.batteryToGrid[t];
+                    const bill = schedule.gridImport[t] * site.importPrices[t] - schedule.gridExport[t] * site.exportPrices[t];
+                    const baselineBill = Math.max(0, site.load[t] - site.pv[t]) * site.importPrices[t]
+                        - Math.max(0, site.pv[t] - site.load[t]) * site.exportPrices[t];
+                    schedule.siteSummary.bill += bill;
+                    schedule.siteSummary.baselineBill += baselineBill;
+                    schedule.revenue[t] = baselineBill - bill;
+                }
+
+                // Reserve capacity payments are part of the step's revenue
+                if (reserve) {
+                    schedule.reserveUp[t] = x[upIndex(t)];
+                    schedule.reserveDown[t] = x[downIndex(t)];
+                    schedule.reserveRevenue[t] = reserve.symmetric
+                        ? schedule.reserveUp[t] * reserve.upPrices[t] * limits.dt
+                        : (schedule.reserveUp[t] * reserve.upPrices[t] + schedule.reserveDown[t] * reserve.downPrices[t]) * limits.dt;
+                    schedule.revenue[t] += schedule.reserveRevenue[t];
+                }
+
+                // Simultaneous charge and discharge only pays off at negative prices (burning energy through losses)
+                if (charge > 0 && charge >= discharge) {
+                    schedule.actions[t] = 'charge';
+                } else if (discharge > 0) {
+                    schedule.actions[t] = 'discharge';
+                } else {
+                    schedule.actions[t] = 'idle';
+                }
+            }
+
+            if (site) {
+                const sum = (values) => values.reduce((total, value) => total + value, 0);
+                const flows = schedule.energyFlows;
+                const totalPv = sum(site.pv);
+                const totalLoad = sum(site.load);
+                schedule.siteSummary.savings = schedule.siteSummary.baselineBill - schedule.siteSummary.bill;
+                schedule.siteSummary.selfConsumption = totalPv > 0 ? (sum(flows.pvToLoad) + sum(flows.pvToBattery)) / totalPv : 0;
+                schedule.siteSummary.selfSufficiency = totalLoad > 0 ? 1 - sum(flows.gridToLoad) / totalLoad : 0;
+
+                // Peak demand (MW) is the highest average grid import of a step in each billing period; its charge is
+                // part of both bills
+                const summary = schedule.siteSummary;
+                summary.peaks = billingPeriods.map(period => {
+                    const steps = site.billingPeriods.flatMap((label, t) => label === period ? [t] : []);
+                    const peakDemand = Math.max(...steps.map(t => schedule.gridImport[t])) / limits.dt;
+                    const baselinePeakDemand = Math.max(...steps.map(t => Math.max(0, site.load[t] - site.pv[t]))) / limits.dt;
+                    return {
+                        period,
+                        peakDemand,
+                        baselinePeakDemand,
+                        demandCharge: peakDemand * site.demandCharge,
+                        baselineDemandCharge: baselinePeakDemand * site.demandCharge
+                    };
+                });
+                summary.peakDemand = Math.max(...summary.peaks.map(peak => peak.peakDemand));
+                summary.baselinePeakDemand = Math.max(...summary.peaks.map(peak => peak.baselinePeakDemand));
+                summary.demandCharge = sum(summary.peaks.map(peak => peak.demandCharge));
+                summary.baselineDemandCharge = sum(summary.peaks.map(peak => peak.baselineDemandCharge));
+                summary.bill += summary.demandCharge;
+                summary.baselineBill += summary.baselineDemandCharge;
+                summary.savings = summary.baselineBill - summary.bill;
+                schedule.demandChargeSavings = summary.baselineDemandCharge - summary.demandCharge;
+            }
+
+            this.finalizeSchedule(schedule, prices, params, currentSoC);
+            return schedule;
+        };
+
+        return {
+            objective, constraints, upperBounds, chargeIndex, dischargeIndex, socIndex,
+            upIndex: reserve ? upIndex : null,
+            downIndex: reserve ? downIndex : null,
+            peakIndex: peakShaving ? peakIndex : null,
+            readSchedule
+        };
+    }
+
+    // Dynamic-programming scheduler: backward induction over a discretized SoC grid.
+    // SoC is split into socSteps levels between socMin and socMax, plus the initial and terminal SoC so both are
+    // represented exactly; each step the SoC first loses its standby share and then moves to any level reachable
+    // within the power limits (storing delta costs delta / etaCharge from the grid, releasing delta sells
+    // delta * etaDischarge), and every MWh moved pays the linearized degradation cost. The terminal valuation is the value at the end of the horizon, and
+    // levels below the terminal SoC are infeasible there. With self-discharge, idling leaves the SoC between two
+    // levels, so idle is a move of its own, valued by linear interpolation of the value function; the forward pass
+    // then tracks the exact SoC, off the grid after an idle step. Runtime is O(T * levels * reachable levels), i.e.
+    // linear in the horizon, and a coarser grid trades accuracy for speed.
+    dynamicProgrammingOptimize(prices, params, options = {}) {
+        const T = prices.length;
+        const schedule = {
+            charging: Array(T).fill(0),
+            discharging: Array(T).fill(0),
+            soc: Array(T).fill(0),
+            revenue: Array(T).fill(0),
+            actions: Array(T).fill('idle')
+        };
+
+        if (T === 0) return schedule;
+
+        const socSteps = Math.max(2, Math.round(options.socSteps || 41));
+        const limits = this.getBatteryLimits(params);
+        const socRange = params.socMax - params.socMin;
+        const stepSize = socRange / (socSteps - 1);
+        const initialSoC = this.getInitialSoC(params);
+        const terminalSoC = this.getTerminalSoC(params);
+        const terminalPrices = this.getTerminalEnergyPrices(prices, params);
+        const degradationCostPerMWh = this.getDegradationCostPerMWh(params);
+        const { buy, sell } = this.getTradingPrices(prices, params);
+
+        const gridLevels = Array.from({ length: socSteps }, (_, i) => params.socMin + i * stepSize);
+        const levels = [...gridLevels, initialSoC, ...(terminalSoC === null ? [] : [terminalSoC])]
+            .sort((a, b) => a - b)
+            .filter((level, i, sorted) => i === 0 || level - sorted[i - 1] > 1e-9);
+        const numLevels = levels.length;
+        const initialLevel = levels.findIndex(level => Math.abs(level - initialSoC) <= 1e-9);
+        const retention = 1 - limits.stepSelfDischarge;
+
+        // Reachable range of target levels from each level in one step, measured from the SoC left after standby
+        // losses (levels are sorted, so both bounds only move up; an empty range has highest < lowest).
+        const retained = levels.map(level => level * retention);
+        const maxUp = limits.maxChargeEnergy * limits.etaCharge + 1e-9;
+        const maxDown = limits.maxDischargeEnergy / limits.etaDischarge + 1e-9;
+        const lowestReachable = new Int32Array(numLevels);
+        const highestReachable = new Int32Array(numLevels);
+        for (let i = 0, low = 0, high = 0; i < numLevels; i++) {
+            while (low < numLevels && retained[i] - levels[low] > maxDown) low++;
+            while (high < numLevels && levels[high] - retained[i] <= maxUp) high++;
+            lowestReachable[i] = low;
+            highestReachable[i] = high - 1;
+        }
+
+        // Value of an SoC between levels: linear interpolation of its neighbours, infeasible outside the grid or
+        // next to an infeasible level
+        const interpolate = (values, soc) => {
+            if (soc < levels[0] - 1e-9 || soc > levels[numLevels - 1] + 1e-9) return -Infinity;
+            let upper = 0;
+            while (upper < numLevels - 1 && levels[upper] < soc - 1e-9) upper++;
+            if (Math.abs(levels[upper] - soc) <= 1e-9 || upper === 0) return values[upper];
+            const weight = (soc - levels[upper - 1]) / (levels[upper] - levels[upper - 1]);
+            if (values[upper - 1] === -Infinity || values[upper] === -Infinity) return -Infinity;
+            return values[upper - 1] + weight * (values[upper] - values[upper - 1]);
+        };
+
+        // Revenue of moving from `from` (SoC after standby losses) to `to`: charging buys delta / etaCharge from
+        // the grid, discharging sells -delta * etaDischarge
+        const moveRevenue = (t, from, to) => {
+            const delta = to - from;
+            return (delta > 0 ? -(delta / limits.etaCharge) * buy[t] : -delta * limits.etaDischarge * sell[t])
+                - Math.abs(delta) * degradationCostPerMWh;
+        };
+
+        // Backward induction: values[t][i] is the best revenue obtainable from level i at step t to the end of the
+        // horizon, starting from the terminal valuation of the stored energy.
+        const values = Array(T + 1);
+        values[T] = Float64Array.from(levels, level =>
+            terminalSoC !== null && level < terminalSoC - 1e-9 ? -Infinity : this.getInventoryValue(level, prices, params, terminalPrices));
+
+        for (let t = T - 1; t >= 0; t--) {
+            const nextValue = values[t + 1];
+            const value = new Float64Array(numLevels);
+
+            for (let i = 0; i < numLevels; i++) {
+                let bestValue = -Infinity;
+                for (let j = lowestReachable[i]; j <= highestReachable[i]; j++) {
+                    const total = moveRevenue(t, retained[i], levels[j]) + nextValue[j];
+                    if (total > bestValue) bestValue = total;
+                }
+                if (limits.stepSelfDischarge > 0) bestValue = Math.max(bestValue, interpolate(nextValue, retained[i]));
+                value[i] = bestValue;
+            }
+            values[t] = value;
+        }
+
+        if (values[0][initialLevel] === -Infinity) {
+            throw new Error(`Terminal SoC ${terminalSoC} MWh is not reachable from ${initialSoC} MWh within ${T} hours`);
+        }
 
+        // Forward pass from the initial SoC: each step takes the best reachable level, or idles when that is
+        // strictly better. An SoC left between levels by idling is valued by interpolation, and when no move from
+        // it is feasible the schedule charges as far as it can towards the terminal SoC.
+        let soc = initialSoC;
         for (let t = 0; t < T; t++) {
-            const price = prices[t];
-            
-            // Store current SoC
-            schedule.soc[t] = currentSoC;
+            const nextValue = values[t + 1];
+            const after = soc * retention;
+            let bestValue = -Infinity;
+            let target = null;
+            let highest = null;
+            for (let j = 0; j < numLevels; j++) {
+                if (after - levels[j] > maxDown || levels[j] - after > maxUp) continue;
+                highest = levels[j];
+                const total = moveRevenue(t, after, levels[j]) + nextValue[j];
+                if (total > bestValue) {
+                    bestValue = total;
+                    target = levels[j];
+                }
+            }
+            if (limits.stepSelfDischarge > 0 && interpolate(nextValue, after) > bestValue) {
+                bestValue = interpolate(nextValue, after);
+                target = after;
+            }
+            if (target === null) target = highest ?? after;
 
-            // Simple decision logic
-            if (price < avgPrice * 0.8 && currentSoC < params.socMax * 0.9) {
-                // Charge at low prices if we have room
-                schedule.charging[t] = Math.min(params.pMax, (params.socMax - currentSoC) / params.efficiency);
+            const delta = target - after;
+            schedule.soc[t] = soc;
+            if (delta > 1e-12) {
+                schedule.charging[t] = delta / limits.etaCharge;
                 schedule.actions[t] = 'charge';
-            } else if (price > avgPrice * 1.2 && currentSoC > params.socMin * 1.1) {
-                // Discharge at high prices if we have energy
-                schedule.discharging[t] = Math.min(params.pMax, currentSoC - params.socMin);
+            } else if (delta < -1e-12) {
+                schedule.discharging[t] = -delta * limits.etaDischarge;
                 schedule.actions[t] = 'discharge';
-            } else {
-                // Idle
-                schedule.actions[t] = 'idle';
             }
+            schedule.revenue[t] = schedule.discharging[t] * sell[t] - schedule.charging[t] * buy[t];
+            soc = target;
+        }
 
-            // Update SoC
-            const energyCharged = schedule.charging[t] * params.efficiency;
-            const energyDischarged = schedule.discharging[t];
-            currentSoC = currentSoC + energyCharged - energyDischarged;
-            currentSoC = Math.max(params.socMin, Math.min(params.socMax, currentSoC));
+        this.finalizeSchedule(schedule, prices, params, soc);
+        console.log(`Dynamic programming completed (${numLevels} SoC levels). Best value: ${values[0][initialLevel]}`);
+        return schedule;
+    }
 
-            // Calculate revenue
-            schedule.revenue[t] = schedule.discharging[t] * price - schedule.charging[t] * price;
+    // Perfect-foresight benchmark: the optimum for the same prices and params, and the share of it a strategy
+    // captured. Capture rate makes revenue comparable across years with very different price levels.
+    // The exact linear program's time and memory grow with the square of the horizon, so it only benchmarks
+    // periods of up to maxExactSteps steps (a month of hourly prices by default); longer periods are benchmarked
+    // with the dynamic programming scheduler, which is linear in the horizon. Reserve and site modes are only
+    // modelled by the linear program (see requiresLinearProgram), so their longer periods are benchmarked with it
+    // solved in daily windows (see linearProgrammingWindowOptimize), which is close to but below the optimum.
+    // benchmarkMethod names the scheduler that produced the benchmark, 'linear_programming_windows' for windows.
+    // Both schedulers price degradation linearly, so with a degradationExponent above 1 (or a coarse DP grid)
+    // their schedule is not the true optimum once valued like the strategy, with the rainflow cost of
+    // getScheduleValue. The strategy's own schedule is feasible with perfect foresight too, so the benchmark is
+    // the better of the two and the capture rate never exceeds 100%.
+    // options.benchmark is a linear-programming schedule already optimized on the same prices and params (the
+    // plan of a backtest period scheduled with perfect foresight), used instead of solving again, and
+    // options.signal can interrupt the solve (see linearProgrammingOptimize).
+    calculateCaptureRate(prices, params, strategyRevenue, options = {}) {
+        const { maxExactSteps = 800, signal = null } = options;
+
+        let benchmark = options.benchmark || null;
+        let benchmarkMethod = 'linear_programming';
+        if (!benchmark) {
+            if (prices.length <= maxExactSteps) {
+                benchmark = this.linearProgrammingOptimize(prices, params, { signal });
+            } else if (this.requiresLinearProgram(prices, params)) {
+                benchmark = this.linearProgrammingWindowOptimize(prices, params, { signal });
+            } else {
+                benchmark = this.dynamicProgrammingOptimize(prices, params);
+                benchmarkMethod = 'dynamic_programming';
+            }
         }
+        if (benchmark.windowHours) benchmarkMethod = 'linear_programming_windows';
 
-        return schedule;
+        // Like the strategy's totalRevenue, the benchmark's revenue leaves out the value of its stored-energy change
+        const perfectForesightRevenue = Math.max(this.getScheduleValue(benchmark) - (benchmark.inventoryValue || 0), strategyRevenue);
+        const captureRate = perfectForesightRevenue > 0 ? strategyRevenue / perfectForesightRevenue : 0;
+
+        console.log(`Perfect-foresight revenue (${benchmarkMethod}): ${perfectForesightRevenue}, capture rate: ${(captureRate * 100).toFixed(1)}%`);
+        return { perfectForesightRevenue, captureRate, benchmarkMethod };
     }
 
     // Differential Evolution optimization for battery scheduling
-    differentialEvolutionOptimize(prices, params, viterbiPath) {
+    differentialEvolutionOptimize(prices, params, viterbiPath, options = {}) {
         const T = prices.length;
+        // Number of regimes in the Viterbi path; the lower half guides charging and the upper half discharging
+        const { numStates = 3 } = options;
         if (T === 0) {
             return {
                 charging: [],
@@ -448,11 +1707,18 @@ class BatteryOptimizer {
             console.log(`Viterbi path category distribution:`, categoryCounts);
         }
 
+        const limits = this.getBatteryLimits(params);
+        const initialSoC = this.getInitialSoC(params);
+        const terminalSoC = this.getTerminalSoC(params);
+        const terminalPrices = this.getTerminalEnergyPrices(prices, params);
+        const hasDegradationCost = this.getDegradationModel(params).costPerCycle > 0;
+        const { buy, sell } = this.getTradingPrices(prices, params);
+
         // Define bounds for each time step (charging and discharging power)
         const bounds = [];
         for (let t = 0; t < T; t++) {
-            bounds.push([0, params.pMax]); // Charging power bounds
-            bounds.push([0, params.pMax]); // Discharging power bounds
+            bounds.push([0, limits.maxChargeEnergy]); // Charging power bounds
+            bounds.push([0, limits.maxDischargeEnergy]); // Discharging power bounds
         }
 
         // Cost function for differential evolution
@@ -468,33 +1734,33 @@ class BatteryOptimizer {
 
             // Calculate price statistics for efficiency-aware optimization
             const avgPrice = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-            const minPrice = Math.min(...prices);
+            const minPrice = prices.reduce((min, p) => Math.min(min, p), Infinity);
             const maxPrice = Math.max(...prices);
             const priceSpread = maxPrice - minPrice;
             
             // Efficiency-adjusted thresholds
-            const efficiencyLoss = 1 - params.efficiency; // 15% loss for 85% efficiency
+            const efficiencyLoss = 1 - limits.etaCharge * limits.etaDischarge; // Round-trip loss, 15% for 85% efficiency
             const minProfitableSpread = avgPrice * efficiencyLoss * 3; // More conservative threshold
             
             // Define profitable trading zones
             const lowPriceThreshold = avgPrice - minProfitableSpread;
             const highPriceThreshold = avgPrice + minProfitableSpread;
             
-            // Viterbi path guidance: categorize prices consistently with the HMM model
-            const priceCategories = prices.map(price => {
-                if (price <= avgPrice * 0.8) return 1; // Low price category
-                if (price <= avgPrice * 1.2) return 2; // Medium price category
-                return 3; // High price category
+            // Viterbi path guidance: classify prices as low (-1), medium (0) or high (1) relative to the average
+            const priceSignals = prices.map(price => {
+                if (price <= avgPrice * 0.8) return -1; // Low price category
+                if (price <= avgPrice * 1.2) return 0; // Medium price category
+                return 1; // High price category
             });
             
             // Calculate SoC evolution and check constraints
-            let currentSoC = (params.socMin + params.socMax) / 2;
+            let currentSoC = initialSoC;
+            const socPath = [initialSoC];
             let totalRevenue = 0;
             let constraintViolation = 0;
             let inefficientTradingPenalty = 0;
 
             for (let t = 0; t < T; t++) {
-                const price = prices[t];
                 const charge = charging[t];
                 const discharge = discharging[t];
 
@@ -505,17 +1771,15 @@ class BatteryOptimizer {
                 }
 
                 // Correct revenue calculation: sell high, buy low
-                // Revenue = (energy sold * sell price) - (energy bought * buy price)
-                const energyCharged = charge * params.efficiency;
-                const energyDischarged = discharge;
-                
+                // Revenue = (energy sold * sell price) - (energy bought * buy price), both metered at the grid
+                // and net of trading costs
                 // Revenue from selling energy (positive)
-                totalRevenue += energyDischarged * price;
+                totalRevenue += discharge * sell[t];
                 // Cost from buying energy (negative)
-                totalRevenue -= charge * price;
+                totalRevenue -= charge * buy[t];
 
                 // Update SoC
-                currentSoC = currentSoC + energyCharged - energyDischarged;
+                currentSoC = this.getNextSoC(currentSoC, charge, discharge, limits);
 
                 // SoC constraint violation penalty
                 if (currentSoC < params.socMin) {
@@ -526,14 +1790,15 @@ class BatteryOptimizer {
                     constraintViolation += Math.pow(currentSoC - params.socMax, 2) * 1e6;
                     currentSoC = params.socMax;
                 }
+                socPath.push(currentSoC);
 
                 // Viterbi path-guided trading incentives
                 if (viterbiPath && viterbiPath[t] !== undefined) {
-                    const predictedCategory = viterbiPath[t];
-                    const currentCategory = priceCategories[t];
+                    const predictedSignal = this.getRegimeSignal(viterbiPath[t], numStates);
+                    const currentSignal = priceSignals[t];
                     
                     // Viterbi path guidance: follow the predicted price category sequence
-                    if (predictedCategory === 1) { // Predicted LOW price
+                    if (predictedSignal === -1) { // Predicted LOW price
                         if (charge > 0) {
                             // Bonus for charging when Viterbi predicts low prices
                             inefficientTradingPenalty -= charge * 1e3;
@@ -542,7 +1807,7 @@ class BatteryOptimizer {
                             // Heavy penalty for discharging when Viterbi predicts low prices
                             inefficientTradingPenalty += discharge * 1e4;
                         }
-                    } else if (predictedCategory === 3) { // Predicted HIGH price
+                    } else if (predictedSignal === 1) { // Predicted HIGH price
                         if (discharge > 0) {
                             // Bonus for discharging when Viterbi predicts high prices
                             inefficientTradingPenalty -= discharge * 1e3;
@@ -562,27 +1827,27 @@ class BatteryOptimizer {
                     }
                     
                     // Additional penalty for deviation from predicted category
-                    if (currentCategory !== predictedCategory) {
+                    if (currentSignal !== predictedSignal) {
                         inefficientTradingPenalty += 500; // Penalty for category mismatch
                     }
                 } else {
                     // Fallback to price-based incentives when Viterbi path is not available
                     if (charge > 0) {
-                        if (price > lowPriceThreshold) {
+                        if (buy[t] > lowPriceThreshold) {
                             // Heavy penalty for charging when price is not low enough
-                            inefficientTradingPenalty += charge * (price - lowPriceThreshold) * 1e4;
+                            inefficientTradingPenalty += charge * (buy[t] - lowPriceThreshold) * 1e4;
                         } else {
                             // Bonus for charging at low prices
-                            inefficientTradingPenalty -= charge * (lowPriceThreshold - price) * 1e2;
+                            inefficientTradingPenalty -= charge * (lowPriceThreshold - buy[t]) * 1e2;
                         }
                     }
                     if (discharge > 0) {
-                        if (price < highPriceThreshold) {
+                        if (sell[t] < highPriceThreshold) {
                             // Heavy penalty for discharging when price is not high enough
-                            inefficientTradingPenalty += discharge * (highPriceThreshold - price) * 1e4;
+                            inefficientTradingPenalty += discharge * (highPriceThreshold - sell[t]) * 1e4;
                         } else {
                             // Bonus for discharging at high prices
-                            inefficientTradingPenalty -= discharge * (price - highPriceThreshold) * 1e2;
+                            inefficientTradingPenalty -= discharge * (sell[t] - highPriceThreshold) * 1e2;
                         }
                     }
                 }
@@ -590,6 +1855,13 @@ class BatteryOptimizer {
 
             }
 
+            // Value the change in stored energy, charge the rainflow degradation cost and penalize missing the terminal SoC
+            totalRevenue += this.getInventoryValue(currentSoC, prices, params, terminalPrices);
+            if (hasDegradationCost) totalRevenue -= this.calculateDegradation(socPath, params).degradationCost;
+            if (terminalSoC !== null && currentSoC < terminalSoC) {
+                constraintViolation += Math.pow(terminalSoC - currentSoC, 2) * 1e6;
+            }
+
             // Additional penalty for overall unprofitable strategies
             if (totalRevenue < 0) {
                 inefficientTradingPenalty += Math.abs(totalRevenue) * 10;
@@ -612,9 +1884,10 @@ class BatteryOptimizer {
         if (viterbiPath && viterbiPath.length > 0) {
             // Use Viterbi path to identify low and high price periods
             for (let t = 0; t < T; t++) {
-                if (viterbiPath[t] === 1) { // Predicted low price
+                const signal = this.getRegimeSignal(viterbiPath[t], numStates);
+                if (signal === -1) { // Predicted low price
                     viterbiLowIndices.push(t);
-                } else if (viterbiPath[t] === 3) { // Predicted high price
+                } else if (signal === 1) { // Predicted high price
                     viterbiHighIndices.push(t);
                 }
             }
@@ -634,14 +1907,14 @@ class BatteryOptimizer {
                 let discharge = 0;
                 if (i < popsize * 0.7) { // 70% of population is biased
                     if (lowIndices.includes(t)) {
-                        charge = Math.random() * params.pMax;
+                        charge = this.random() * limits.maxChargeEnergy;
                     }
                     if (highIndices.includes(t)) {
-                        discharge = Math.random() * params.pMax;
+                        discharge = this.random() * limits.maxDischargeEnergy;
                     }
                 } else { // 30% is random
-                    charge = Math.random() * params.pMax;
-                    discharge = Math.random() * params.pMax;
+                    charge = this.random() * limits.maxChargeEnergy;
+                    discharge = this.random() * limits.maxDischargeEnergy;
                 }
                 // Enforce hard constraint in initial population
                 if (charge > 0 && discharge > 0) {
@@ -688,7 +1961,7 @@ class BatteryOptimizer {
                 // Recombination: create trial vector
                 const trial = [];
                 for (let k = 0; k < target.length; k++) {
-                    if (Math.random() <= recombination) {
+                    if (this.random() <= recombination) {
                         trial.push(donor[k]);
                     } else {
                         trial.push(target[k]);
@@ -721,17 +1994,13 @@ class BatteryOptimizer {
             if (generation % (10) === 0) {
                 console.log(`  Generation ${generation}: Best score = ${bestScore.toFixed(2)}`);
             }
+            if (options.onProgress) options.onProgress(generation, bestScore);
         }
 
-        // After evolution, reconstruct the schedule from bestSolution
-        const schedule = {
-            charging: Array(T).fill(0),
-            discharging: Array(T).fill(0),
-            soc: Array(T).fill(0),
-            revenue: Array(T).fill(0),
-            actions: Array(T).fill('idle')
-        };
-        let currentSoC = (params.socMin + params.socMax) / 2;
+        // After evolution, reconstruct the schedule from bestSolution: one action per step, and energies trimmed
+        // so the SoC stays within its limits (the cost function only penalizes violations)
+        const charging = Array(T).fill(0);
+        const discharging = Array(T).fill(0);
         for (let t = 0; t < T; t++) {
             let charge = bestSolution[t * 2];
             let discharge = bestSolution[t * 2 + 1];
@@ -743,27 +2012,79 @@ class BatteryOptimizer {
                     charge = 0;
                 }
             }
-            schedule.charging[t] = charge;
-            schedule.discharging[t] = discharge;
-            // Store current SoC
-            schedule.soc[t] = currentSoC;
-            // Update SoC
-            const energyCharged = charge * params.efficiency;
-            const energyDischarged = discharge;
-            currentSoC = currentSoC + energyCharged - energyDischarged;
-            currentSoC = Math.max(params.socMin, Math.min(params.socMax, currentSoC));
-            // Calculate revenue (same logic as in cost function)
-            schedule.revenue[t] = discharge * prices[t] - charge * prices[t];
-            // Determine action
-            if (charge > 0) {
-                schedule.actions[t] = 'charge';
-            } else if (discharge > 0) {
-                schedule.actions[t] = 'discharge';
+            charging[t] = charge;
+            discharging[t] = discharge;
+        }
+
+        // SoC at the start of every step and at the end of the horizon
+        const retention = 1 - limits.stepSelfDischarge;
+        const simulate = () => {
+            const socPath = [initialSoC];
+            for (let t = 0; t < T; t++) {
+                const soc = socPath[t];
+                let next = this.getNextSoC(soc, charging[t], discharging[t], limits);
+                if (next > params.socMax) {
+                    charging[t] = Math.max(0, charging[t] - (next - params.socMax) / limits.etaCharge);
+                } else if (next < params.socMin) {
+                    // Discharge less, and make up standby losses below socMin by charging
+                    const missing = params.socMin - next;
+                    const cut = Math.min(discharging[t], missing * limits.etaDischarge);
+                    discharging[t] -= cut;
+                    const recharge = missing - cut / limits.etaDischarge;
+                    if (recharge > 1e-12) charging[t] = Math.min(limits.maxChargeEnergy, charging[t] + recharge / limits.etaCharge);
+                }
+                next = this.getNextSoC(soc, charging[t], discharging[t], limits);
+                socPath.push(Math.max(params.socMin, Math.min(params.socMax, next)));
+            }
+            return socPath;
+        };
+        let socPath = simulate();
+
+        // The terminal SoC is only a penalty during the search, so a shortfall is repaired afterwards: each round
+        // stores more energy at the step where an extra MWh at the end of the horizon is cheapest (discharging less
+        // forgoes sell * etaDischarge, charging more costs buy / etaCharge, both divided by the share that survives
+        // standby losses), within the power limits and the headroom below socMax at every later step
+        let shortfall = terminalSoC === null ? 0 : terminalSoC - socPath[T];
+        while (shortfall > 1e-9) {
+            let headroom = Infinity;
+            let best = null;
+            for (let t = T - 1; t >= 0; t--) {
+                const survival = Math.pow(retention, T - 1 - t);
+                headroom = Math.min(headroom / retention, params.socMax - socPath[t + 1]);
+                if (headroom <= 1e-12) continue;
+                const option = discharging[t] > 0
+                    ? { cost: sell[t] * limits.etaDischarge, stored: discharging[t] / limits.etaDischarge }
+                    : { cost: buy[t] / limits.etaCharge, stored: (limits.maxChargeEnergy - charging[t]) * limits.etaCharge };
+                if (option.stored <= 1e-12) continue;
+                const cost = option.cost / survival;
+                if (!best || cost < best.cost) {
+                    best = { t, cost, stored: Math.min(option.stored, headroom, shortfall / survival) };
+                }
+            }
+            if (!best) break;
+
+            if (discharging[best.t] > 0) {
+                discharging[best.t] = Math.max(0, discharging[best.t] - best.stored * limits.etaDischarge);
             } else {
-                schedule.actions[t] = 'idle';
+                charging[best.t] += best.stored / limits.etaCharge;
             }
+            socPath = simulate();
+            shortfall = terminalSoC - socPath[T];
+        }
+
+        const schedule = {
+            charging,
+            discharging,
+            soc: socPath.slice(0, T),
+            revenue: prices.map((_, t) => discharging[t] * sell[t] - charging[t] * buy[t]),
+            actions: prices.map((_, t) => charging[t] > 0 ? 'charge' : discharging[t] > 0 ? 'discharge' : 'idle')
+        };
+        if (shortfall > 1e-9) {
+            schedule.terminalSoCShortfall = shortfall;
+            console.warn(`Differential evolution missed the terminal SoC of ${terminalSoC} MWh by ${shortfall} MWh`);
         }
-        console.log(`Differential evolution completed. Best revenue: ${schedule.revenue.reduce((sum, r) => sum + r, 0)}`);
+        this.finalizeSchedule(schedule, prices, params, socPath[T]);
+        console.log(`Differential evolution completed. Best value: ${this.getScheduleValue(schedule)}`);
         return schedule;
     }
 
@@ -774,7 +2095,7 @@ class BatteryOptimizer {
         for (let i = 0; i < popsize; i++) {
             const individual = [];
             for (let j = 0; j < bounds.length; j++) {
-                individual.push(bounds[j][0] + Math.random() * (bounds[j][1] - bounds[j][0]));
+                individual.push(bounds[j][0] + this.random() * (bounds[j][1] - bounds[j][0]));
             }
             population.push(individual);
         }
@@ -810,7 +2131,7 @@ class BatteryOptimizer {
                 // Recombination: create trial vector
                 const trial = [];
                 for (let k = 0; k < target.length; k++) {
-                    if (Math.random() <= recombination) {
+                    if (this.random() <= recombination) {
                         trial.push(donor[k]);
                     } else {
                         trial.push(target[k]);
@@ -851,88 +2172,314 @@ class BatteryOptimizer {
     shuffleArray(array) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
     }
 
-    // Calculate actual battery cycles by counting charge/discharge cycles between min and max SoC
-    calculateBatteryCycles(socValues, params) {
-        if (socValues.length < 2) return 0;
-        
-        let cycles = 0;
-        let currentDirection = 0; // 0 = neutral, 1 = charging, -1 = discharging
-        let lastDirection = 0;
-        let cycleStartSoC = socValues[0];
-        let cycleEndSoC = socValues[0];
-        
-        // Define cycle thresholds (10% of the SoC range to avoid counting noise)
-        const cycleThreshold = (params.socMax - params.socMin) * 0.1;
-        const minCycleRange = (params.socMax - params.socMin) * 0.5; // Minimum 50% of range for a valid cycle
-        
-        console.log('Cycle Calculation Debug:');
-        console.log('  SoC Range:', params.socMax - params.socMin, 'MWh');
-        console.log('  Cycle threshold:', cycleThreshold.toFixed(2), 'MWh');
-        console.log('  Min cycle range:', minCycleRange.toFixed(2), 'MWh');
-        
-        for (let i = 1; i < socValues.length; i++) {
-            const prevSoC = socValues[i - 1];
-            const currentSoC = socValues[i];
-            const socChange = currentSoC - prevSoC;
-            
-            // Determine current direction
-            if (Math.abs(socChange) > cycleThreshold) {
-                currentDirection = socChange > 0 ? 1 : -1;
-            } else {
-                currentDirection = 0; // Neutral if change is too small
+    // ASTM E1049 rainflow counting on an SoC series. Returns the cycles as { depth, mean, count }, where depth is
+    // the SoC swing in MWh and count is 1 for a full cycle or 0.5 for a residual half cycle.
+    rainflowCount(socValues) {
+        // Reduce the series to its turning points
+        const reversals = [];
+        for (const value of socValues) {
+            const n = reversals.length;
+            if (n >= 1 && Math.abs(value - reversals[n - 1]) <= 1e-9) continue;
+            if (n >= 2 && (reversals[n - 1] - reversals[n - 2]) * (value - reversals[n - 1]) > 0) {
+                reversals[n - 1] = value; // Same direction: extend the current half cycle
+                continue;
             }
-            
-            // Debug: Log significant changes
-            if (Math.abs(socChange) > cycleThreshold) {
-                console.log(`  Hour ${i}: SoC ${prevSoC.toFixed(2)} → ${currentSoC.toFixed(2)} (change: ${socChange.toFixed(2)}, direction: ${currentDirection === 1 ? 'charging' : 'discharging'})`);
-            }
-            
-            // Detect direction change (cycle completion)
-            if (lastDirection !== 0 && currentDirection !== 0 && lastDirection !== currentDirection) {
-                // We have a direction change - check if it's a valid cycle
-                const cycleRange = Math.abs(cycleEndSoC - cycleStartSoC);
-                
-                console.log(`  Direction change detected: ${lastDirection === 1 ? 'charging' : 'discharging'} → ${currentDirection === 1 ? 'charging' : 'discharging'}, cycle range: ${cycleRange.toFixed(2)} MWh`);
-                
-                if (cycleRange >= minCycleRange) {
-                    cycles += 0.5; // Half cycle (charge or discharge)
-                    console.log(`  ✓ Valid cycle ${cycles.toFixed(1)}: ${cycleStartSoC.toFixed(2)} → ${cycleEndSoC.toFixed(2)} (range: ${cycleRange.toFixed(2)} MWh)`);
+            reversals.push(value);
+        }
+
+        const cycles = [];
+        const stack = [];
+        for (const point of reversals) {
+            stack.push(point);
+            while (stack.length >= 3) {
+                const n = stack.length;
+                const latestRange = Math.abs(stack[n - 1] - stack[n - 2]);
+                const previousRange = Math.abs(stack[n - 2] - stack[n - 3]);
+                if (latestRange < previousRange) break;
+
+                if (n === 3) {
+                    // The previous range contains the starting point: count it as a half cycle
+                    cycles.push({ depth: previousRange, mean: (stack[0] + stack[1]) / 2, count: 0.5 });
+                    stack.shift();
                 } else {
-                    console.log(`  ✗ Invalid cycle: range ${cycleRange.toFixed(2)} MWh < minimum ${minCycleRange.toFixed(2)} MWh`);
+                    cycles.push({ depth: previousRange, mean: (stack[n - 2] + stack[n - 3]) / 2, count: 1 });
+                    stack.splice(n - 3, 2);
                 }
-                
-                // Start new cycle
-                cycleStartSoC = currentSoC;
-                cycleEndSoC = currentSoC;
             }
-            
-            // Update cycle end point
-            cycleEndSoC = currentSoC;
-            lastDirection = currentDirection;
         }
-        
-        // Check for final cycle
-        const finalCycleRange = Math.abs(cycleEndSoC - cycleStartSoC);
-        if (finalCycleRange >= minCycleRange) {
-            cycles += 0.5;
-            console.log(`  Final cycle ${cycles.toFixed(1)}: ${cycleStartSoC.toFixed(2)} → ${cycleEndSoC.toFixed(2)} (range: ${finalCycleRange.toFixed(2)} MWh)`);
+
+        // Whatever is left on the stack are residual half cycles
+        for (let i = 0; i + 1 < stack.length; i++) {
+            cycles.push({ depth: Math.abs(stack[i + 1] - stack[i]), mean: (stack[i] + stack[i + 1]) / 2, count: 0.5 });
         }
-        
-        console.log(`  Total cycles: ${cycles.toFixed(2)}`);
         return cycles;
     }
 
+    // Degradation cost model: a cycle whose depth is the full usable range (socMax - socMin) costs
+    // params.degradationCostPerCycle (e.g. replacement cost / rated cycle life); shallower cycles cost
+    // costPerCycle * (depth of discharge)^params.degradationExponent. Both default to no cost and a linear model.
+    getDegradationModel(params) {
+        return {
+            costPerCycle: Number.isFinite(params.degradationCostPerCycle) ? params.degradationCostPerCycle : 0,
+            exponent: Number.isFinite(params.degradationExponent) ? params.degradationExponent : 1,
+            usableCapacity: params.socMax - params.socMin
+        };
+    }
+
+    // Linear stand-in for the degradation cost used by the LP and DP schedulers: each MWh moved in or out of storage
+    // costs half a full cycle's cost per MWh of usable capacity. Exact for exponent 1; deeper exponents make the
+    // real cost of shallow cycles lower than this.
+    getDegradationCostPerMWh(params) {
+        const { costPerCycle, usableCapacity } = this.getDegradationModel(params);
+        return usableCapacity > 0 ? costPerCycle / (2 * usableCapacity) : 0;
+    }
+
+    // Rainflow-counted cycles of an SoC series with their equivalent full cycles and degradation cost.
+    calculateDegradation(socValues, params) {
+        const { costPerCycle, exponent, usableCapacity } = this.getDegradationModel(params);
+        const cycles = this.rainflowCount(socValues);
+        let equivalentFullCycles = 0;
+        let degradationCost = 0;
+        if (usableCapacity > 0) {
+            for (const cycle of cycles) {
+                const depthOfDischarge = Math.min(1, cycle.depth / usableCapacity);
+                equivalentFullCycles += cycle.count * depthOfDischarge;
+                degradationCost += cycle.count * costPerCycle * Math.pow(depthOfDischarge, exponent);
+            }
+        }
+        return { cycles, equivalentFullCycles, degradationCost };
+    }
+
+    // Battery cycles of an SoC series as equivalent full cycles: rainflow cycle depths relative to the usable range,
+    // so shallow cycles count in proportion to their depth instead of being ignored.
+    calculateBatteryCycles(socValues, params) {
+        const { cycles, equivalentFullCycles } = this.calculateDegradation(socValues, params);
+        console.log(`Rainflow counting: ${cycles.length} cycles, ${equivalentFullCycles.toFixed(2)} equivalent full cycles`);
+        return equivalentFullCycles;
+    }
+
+    // Key performance indicators of a finished schedule, the metric fields of the optimize() result.
+    summarizeSchedule(schedule, prices, params) {
+        // Total revenue is what the schedule earned, net of the degradation cost and trading costs; gross revenue is
+        // the same schedule before trading costs. The value of the change in stored energy (inventoryValue, see
+        // getTerminalEnergyPrices) is reported on its own, as energy left in the battery has not been sold yet.
+        const tradingRevenue = schedule.revenue.reduce((sum, rev) => sum + rev, 0);
+        const totalRevenue = this.getScheduleValue(schedule) - (schedule.inventoryValue || 0);
+        // Energy totals are metered at the grid; the stored totals are what entered and left the cells.
+        const totalEnergyCharged = schedule.charging.reduce((sum, charge) => sum + charge, 0);
+        const totalEnergyDischarged = schedule.discharging.reduce((sum, discharge) => sum + discharge, 0);
+        const efficiency = totalEnergyCharged > 0 ? totalEnergyDischarged / totalEnergyCharged : 0;
+        const limits = this.getBatteryLimits(params);
+        const storedEnergyCharged = totalEnergyCharged * limits.etaCharge;
+        const storedEnergyDischarged = totalEnergyDischarged / limits.etaDischarge;
+
+        console.log(`Performance metrics calculated: Revenue=${totalRevenue}, Charged=${totalEnergyCharged}, Discharged=${totalEnergyDischarged}`);
+
+        // Equivalent full cycles from rainflow counting of the SoC path, including the end-of-horizon SoC
+        const actualCycles = this.calculateBatteryCycles([...schedule.soc, schedule.finalSoC], params);
+
+        // Calculate Volume Weighted Average Price (VWAP).
+        let vwapChargeNumerator = 0;
+        let vwapChargeDenominator = 0;
+        let vwapDischargeNumerator = 0;
+        let vwapDischargeDenominator = 0;
+
+        for (let i = 0; i < prices.length; i++) {
+            if (schedule.charging[i] > 0) {
+                vwapChargeNumerator += schedule.charging[i] * prices[i];
+                vwapChargeDenominator += schedule.charging[i];
+            }
+            if (schedule.discharging[i] > 0) {
+                vwapDischargeNumerator += schedule.discharging[i] * prices[i];
+                vwapDischargeDenominator += schedule.discharging[i];
+            }
+        }
+
+        const vwapCharge = vwapChargeDenominator > 0 ? vwapChargeNumerator / vwapChargeDenominator : 0;
+        const vwapDischarge = vwapDischargeDenominator > 0 ? vwapDischargeNumerator / vwapDischargeDenominator : 0;
+
+        return {
+            totalRevenue,
+            tradingRevenue,
+            inventoryValue: schedule.inventoryValue,
+            initialSoC: this.getInitialSoC(params),
+            finalSoC: schedule.finalSoC,
+            totalEnergyCharged,
+            totalEnergyDischarged,
+            storedEnergyCharged,
+            storedEnergyDischarged,
+            selfDischargeLoss: schedule.selfDischargeLoss,
+            auxiliaryCost: schedule.auxiliaryCost,
+            tradingCosts: schedule.tradingCosts,
+            grossRevenue: totalRevenue + schedule.tradingCosts,
+            revenueStack: this.getRevenueStack(schedule),
+            reserveUp: schedule.reserveUp,
+            reserveDown: schedule.reserveDown,
+            energyFlows: schedule.energyFlows,
+            siteSummary: schedule.siteSummary,
+            windowHours: schedule.windowHours,
+            operationalEfficiency: efficiency,
+            avgPrice: prices.reduce((a, b) => a + b, 0) / prices.length,
+            cycles: actualCycles, // Equivalent full cycles
+            cycleDepths: schedule.cycleDepths,
+            degradationCost: schedule.degradationCost,
+            vwapCharge,
+            vwapDischarge,
+            timeStep: limits.dt
+        };
+    }
+
+    // Fits the price-regime HMM on `prices` and decodes their regimes with it: categories, transition and emission
+    // matrices (optionally refined with Baum-Welch), or the Gaussian HMM, then the Viterbi path and posteriors.
+    // Returns { numStates, priceCategories, transitionMatrix, emissionMatrix, initialProbs, viterbiPath,
+    // statePosteriors, logLikelihood, emissionModel, hmmTraining }.
+    fitRegimeModel(prices, categorizationMethod = 'quantile', categorizationOptions = {}, optimizationOptions = {}) {
+        // 1. Categorize prices to create observations for HMM.
+        const priceCategories = this.categorizePrices(prices, categorizationMethod, categorizationOptions);
+        console.log(`Price categories calculated: ${priceCategories.length} categories`);
+        
+        const numStates = this.getNumStates(categorizationMethod, categorizationOptions);
+        let hmmTraining = { method: 'heuristic' };
+        let transitionMatrix;
+        let emissionMatrix;
+        let initialProbs;
+        let viterbiPath;
+        let statePosteriors;
+        let logLikelihood;
+        let emissionModel = null;
+
+        if (categorizationMethod === 'gaussian_hmm') {
+            // The continuous HMM was fitted by Baum-Welch during categorization, and its Viterbi path is the
+            // category sequence. The emission "matrix" holds each regime's price mean and standard deviation.
+            const model = this.gaussianModel;
+            transitionMatrix = model.transitionMatrix;
+            emissionMatrix = model.emissionModel.priceMoments;
+            initialProbs = model.initialProbs;
+            viterbiPath = model.path;
+            statePosteriors = model.posteriors;
+            logLikelihood = model.logLikelihood;
+            emissionModel = model.emissionModel;
+            hmmTraining = {
+                method: 'baum_welch',
+                iterations: model.iterations,
+                converged: model.converged,
+                logLikelihood: model.logLikelihood
+            };
+            console.log(`Gaussian HMM reused from categorization: ${viterbiPath.length} states`);
+        } else {
+            // 2. Calculate transition probabilities between hidden states.
+            transitionMatrix = this.calculateTransitionMatrix(priceCategories, numStates);
+            console.log(`Transition matrix calculated`);
+
+            // 3. Initialize emission probabilities (action likelihood given state).
+            emissionMatrix = this.initializeEmissionMatrix(prices, categorizationMethod, categorizationOptions);
+            console.log(`Emission matrix initialized`);
+
+            // 3b. Optionally refine the heuristic model with Baum-Welch (EM) on the observed categories.
+            initialProbs = Array(numStates).fill(1 / numStates);
+            if (optimizationOptions.hmmTraining === 'baum_welch') {
+                const trained = this.trainBaumWelch(priceCategories, { transitionMatrix, emissionMatrix, initialProbs }, optimizationOptions.baumWelchOptions);
+                transitionMatrix = trained.transitionMatrix;
+                emissionMatrix = trained.emissionMatrix;
+                initialProbs = trained.initialProbs;
+                hmmTraining = {
+                    method: 'baum_welch',
+                    iterations: trained.iterations,
+                    converged: trained.converged,
+                    logLikelihood: trained.logLikelihood
+                };
+            }
+
+            // 4. Use Viterbi to find the most likely sequence of hidden states.
+            viterbiPath = this.viterbiDecode(priceCategories, transitionMatrix, emissionMatrix, initialProbs);
+            console.log(`Viterbi path calculated: ${viterbiPath.length} states`);
+
+            // 4b. Forward-backward posteriors give the per-hour probability of each regime.
+            ({ posteriors: statePosteriors, logLikelihood } = this.forwardBackward(priceCategories, transitionMatrix, emissionMatrix, initialProbs));
+            console.log(`State posteriors calculated, log-likelihood ${logLikelihood.toFixed(2)}`);
+        }
+
+        return { numStates, priceCategories, transitionMatrix, emissionMatrix, initialProbs, viterbiPath, statePosteriors, logLikelihood, emissionModel, hmmTraining };
+    }
+
+    // Regimes of prices the model was not fitted on, e.g. a walk-forward price forecast: the HMM is fitted on
+    // `history` (see fitRegimeModel) and the regimes of `prices` are decoded from it, without categorizing or
+    // training on them. Each regime emits prices from a Gaussian: the Gaussian HMM's own emissions or, for the
+    // discrete categorizations, the mean and variance of the history prices decoded to that regime. Decoding starts
+    // from the regime probabilities at the end of the history, one transition ahead. Returns the fields of
+    // fitRegimeModel, with the decoded path as priceCategories and hmmTraining.trainingSteps set to the history
+    // length.
+    predictRegimes(history, prices, categorizationMethod = 'quantile', categorizationOptions = {}, optimizationOptions = {}) {
+        const model = this.fitRegimeModel(history, categorizationMethod, categorizationOptions, optimizationOptions);
+        const { numStates, transitionMatrix } = model;
+        const logGaussian = (value, mean, variance) =>
+            -0.5 * (Math.log(2 * Math.PI * variance) + (value - mean) ** 2 / variance);
+
+        let logEmission;
+        if (model.emissionModel) {
+            const { distribution, means, variances, shift } = model.emissionModel;
+            // Log-normal regimes cannot emit prices at or below their shift; those are taken as just above it
+            const observations = distribution === 'lognormal'
+                ? prices.map(price => Math.log(Math.max(price - shift, 1e-6)))
+                : prices;
+            logEmission = (t, s) => logGaussian(observations[t], means[s], variances[s]);
+        } else {
+            const moments = (values) => {
+                const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+                return { mean, variance: values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length };
+            };
+            const overall = moments(history);
+            // Same variance floor as trainGaussianHMM; regimes with fewer than two history prices use the overall spread
+            const minVariance = Math.max(overall.variance * 1e-3, 1e-9);
+            const regimeMoments = Array.from({ length: numStates }, (_, s) => {
+                const regimePrices = history.filter((_, t) => model.viterbiPath[t] === s + 1);
+                const regime = regimePrices.length >= 2 ? moments(regimePrices) : { ...overall, mean: regimePrices[0] ?? overall.mean };
+                return { mean: regime.mean, variance: Math.max(regime.variance, minVariance) };
+            });
+            logEmission = (t, s) => logGaussian(prices[t], regimeMoments[s].mean, regimeMoments[s].variance);
+        }
+
+        const lastPosterior = model.statePosteriors[history.length - 1];
+        const initialProbs = transitionMatrix.map((_, to) =>
+            lastPosterior.reduce((sum, p, from) => sum + p * transitionMatrix[from][to], 0));
+        const logPi = initialProbs.map(p => this.logProbability(p));
+        const logA = transitionMatrix.map(row => row.map(p => this.logProbability(p)));
+        const viterbiPath = this.viterbiDecodeLog(prices.length, logPi, logA, logEmission);
+        const { posteriors, logLikelihood } = this.forwardBackwardLog(prices.length, logPi, logA, logEmission);
+        console.log(`Regimes of ${prices.length} prices decoded from a model fitted on ${history.length} history prices`);
+
+        return {
+            ...model,
+            priceCategories: viterbiPath,
+            initialProbs,
+            viterbiPath,
+            statePosteriors: posteriors,
+            logLikelihood,
+            hmmTraining: { ...model.hmmTraining, trainingSteps: history.length }
+        };
+    }
+
     // Main optimization function that orchestrates the HMM and scheduling.
-    optimize(prices, params, categorizationMethod = 'quantile', categorizationOptions = {}) {
+    // optimizationOptions.onProgress(generation, bestScore) is called after every differential evolution generation.
+    // The run is synchronous; only the linear program can be interrupted, through optimizationOptions.signal
+    // (checked between simplex pivots, see solveLinearProgram), and then throws an AbortError instead of returning
+    // a failed result. Otherwise the worker is terminated to cancel (see optimizationClient.js).
+    // optimizationOptions.trainingPrices, a price history before `prices`, fits the regime model on that history
+    // and predicts the regimes of `prices` from it, so a price forecast is scheduled out-of-sample.
+    optimize(prices, params, categorizationMethod = 'quantile', categorizationOptions = {}, optimizationMethod = 'differential_evolution', optimizationOptions = {}) {
         try {
             // Reset optimizer state to ensure fresh start
             this.reset();
+
+            // Seed the random generator; a generated seed is still reported so the run can be repeated.
+            const seed = Number.isFinite(optimizationOptions.seed) ? optimizationOptions.seed : generateSeed();
+            this.setSeed(seed);
             
             if (!prices || prices.length === 0) {
                 throw new Error('No price data provided');
@@ -941,80 +2488,307 @@ class BatteryOptimizer {
             console.log(`Starting optimization with ${prices.length} price points`);
             console.log(`Parameters:`, params);
             console.log(`Categorization method: ${categorizationMethod}`);
-
-            // 1. Categorize prices to create observations for HMM.
-            this.priceCategories = this.categorizePrices(prices, categorizationMethod, categorizationOptions);
-            console.log(`Price categories calculated: ${this.priceCategories.length} categories`);
-            
-            // 2. Calculate transition probabilities between hidden states.
-            this.transitionMatrix = this.calculateTransitionMatrix(this.priceCategories);
-            console.log(`Transition matrix calculated`);
-            
-            // 3. Initialize emission probabilities (action likelihood given state).
-            this.emissionMatrix = this.initializeEmissionMatrix(prices, categorizationMethod, categorizationOptions);
-            console.log(`Emission matrix initialized`);
-            
-            // 4. Use Viterbi to find the most likely sequence of hidden states.
-            this.viterbiPath = this.viterbiDecode(this.priceCategories, this.transitionMatrix, this.emissionMatrix);
-            console.log(`Viterbi path calculated: ${this.viterbiPath.length} states`);
+            console.log(`Optimization method: ${optimizationMethod}`);
+
+            // 1-4. Fit the price-regime HMM and decode the regimes the scheduler follows. With
+            // optimizationOptions.trainingPrices (walk-forward history) the model is fitted on those prices instead,
+            // and the regimes of `prices` are predicted from it (see predictRegimes).
+            const { trainingPrices } = optimizationOptions;
+            const regimes = Array.isArray(trainingPrices) && trainingPrices.length > 0
+                ? this.predictRegimes(trainingPrices, prices, categorizationMethod, categorizationOptions, optimizationOptions)
+                : this.fitRegimeModel(prices, categorizationMethod, categorizationOptions, optimizationOptions);
+            const { numStates, statePosteriors, logLikelihood, emissionModel, hmmTraining } = regimes;
+            this.priceCategories = regimes.priceCategories;
+            this.transitionMatrix = regimes.transitionMatrix;
+            this.emissionMatrix = regimes.emissionMatrix;
+            this.initialProbs = regimes.initialProbs;
+            this.viterbiPath = regimes.viterbiPath;
 
             // 5. Optimize battery schedule based on Viterbi path and parameters.
             console.log(`Starting battery schedule optimization...`);
-            const schedule = this.optimizeBatterySchedule(prices, this.viterbiPath, params);
+            const schedule = this.optimizeBatterySchedule(prices, this.viterbiPath, params, optimizationMethod, { ...optimizationOptions, numStates });
             console.log(`Battery schedule optimization completed`);
 
-            // Calculate key performance indicators.
-            const totalRevenue = schedule.revenue.reduce((sum, rev) => sum + rev, 0);
-            const totalEnergyCharged = schedule.charging.reduce((sum, charge) => sum + charge, 0);
-            const totalEnergyDischarged = schedule.discharging.reduce((sum, discharge) => sum + discharge, 0);
-            const efficiency = totalEnergyCharged > 0 ? totalEnergyDischarged / totalEnergyCharged : 0;
+            console.log(`Optimization completed successfully`);
+
+            return {
+                success: true,
+                schedule,
+                priceCategories: this.priceCategories,
+                numStates,
+                stateLabels: this.getStateLabels(numStates, categorizationOptions),
+                transitionMatrix: this.transitionMatrix,
+                emissionMatrix: this.emissionMatrix,
+                emissionModel,
+                initialProbs: this.initialProbs,
+                hmmTraining,
+                viterbiPath: this.viterbiPath,
+                statePosteriors,
+                logLikelihood,
+                ...this.summarizeSchedule(schedule, prices, params),
+                method: optimizationMethod,
+                seed
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Optimization failed with error:`, error);
+            console.error(`Error stack:`, error.stack);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 
-            console.log(`Performance metrics calculated: Revenue=${totalRevenue}, Charged=${totalEnergyCharged}, Discharged=${totalEnergyDischarged}`);
+    // Fleet mode: optimizes several batteries (fleet.assets, each { name, params }) against the same prices.
+    // Every asset is first optimized on its own with the selected method. With fleet.gridLimit (MW) the assets
+    // share one grid connection; if the independent schedules together exceed it in either direction, the whole
+    // fleet is re-optimized on one linear program with the connection limit coupling the assets (see
+    // linearProgrammingFleetOptimize). Returns the optimize() result shape for the portfolio, with schedules and
+    // energy and revenue metrics summed over the assets, plus the per-asset optimize() results in `assets` and the
+    // fleet's net grid flow per step (MW, positive when importing) in `gridFlow`.
+    optimizeFleet(prices, fleet, categorizationMethod = 'quantile', categorizationOptions = {}, optimizationMethod = 'differential_evolution', optimizationOptions = {}) {
+        try {
+            const { assets = [], gridLimit = null } = fleet;
+            if (assets.length === 0) {
+                throw new Error('Fleet has no assets');
+            }
+            if (assets.some(asset => this.getSiteModel(prices, asset.params))) {
+                throw new Error('The behind-the-meter site mode is not supported in fleet mode');
+            }
 
-            // Calculate actual battery cycles using SoC evolution
-            const actualCycles = this.calculateBatteryCycles(schedule.soc, params);
+            // One seed for the whole fleet so the run can be repeated
+            const seed = Number.isFinite(optimizationOptions.seed) ? optimizationOptions.seed : generateSeed();
+            console.log(`Starting fleet optimization: ${assets.length} assets, grid limit ${gridLimit ?? 'none'} MW`);
 
-            // Calculate Volume Weighted Average Price (VWAP).
-            let vwapChargeNumerator = 0;
-            let vwapChargeDenominator = 0;
-            let vwapDischargeNumerator = 0;
-            let vwapDischargeDenominator = 0;
+            let results = assets.map(asset => {
+                console.log(`Optimizing fleet asset ${asset.name}`);
+                const result = this.optimize(prices, asset.params, categorizationMethod, categorizationOptions, optimizationMethod, { ...optimizationOptions, seed });
+                if (!result.success) throw new Error(`${asset.name}: ${result.error}`);
+                return result;
+            });
 
-            for (let i = 0; i < prices.length; i++) {
-                if (schedule.charging[i] > 0) {
-                    vwapChargeNumerator += schedule.charging[i] * prices[i];
-                    vwapChargeDenominator += schedule.charging[i];
-                }
-                if (schedule.discharging[i] > 0) {
-                    vwapDischargeNumerator += schedule.discharging[i] * prices[i];
-                    vwapDischargeDenominator += schedule.discharging[i];
-                }
+            let gridFlow = this.getFleetGridFlow(results.map(result => result.schedule), assets);
+            const coordinated = gridLimit !== null && gridFlow.some(flow => Math.abs(flow) > gridLimit + 1e-6);
+            if (coordinated) {
+                console.log(`Independent schedules exceed the ${gridLimit} MW grid limit; optimizing the fleet jointly`);
+                const schedules = this.linearProgrammingFleetOptimize(prices, assets, gridLimit, optimizationOptions);
+                results = results.map((result, i) => ({
+                    ...result,
+                    schedule: schedules[i],
+                    ...this.summarizeSchedule(schedules[i], prices, assets[i].params),
+                    method: 'linear_programming'
+                }));
+                gridFlow = this.getFleetGridFlow(schedules, assets);
             }
 
-            const vwapCharge = vwapChargeDenominator > 0 ? vwapChargeNumerator / vwapChargeDenominator : 0;
-            const vwapDischarge = vwapDischargeDenominator > 0 ? vwapDischargeNumerator / vwapDischargeDenominator : 0;
+            // The price model is the same for every asset: all see the same prices and categorization
+            const { priceCategories, numStates, stateLabels, transitionMatrix, emissionMatrix, emissionModel, initialProbs, hmmTraining, viterbiPath, statePosteriors, logLikelihood } = results[0];
+            const schedule = this.combineSchedules(results.map(result => result.schedule));
+            const sumOf = (key) => results.reduce((total, result) => total + (result[key] || 0), 0);
+            const totalEnergyCharged = sumOf('totalEnergyCharged');
+            const totalEnergyDischarged = sumOf('totalEnergyDischarged');
+            const usableCapacities = assets.map(asset => asset.params.socMax - asset.params.socMin);
+            const totalUsableCapacity = usableCapacities.reduce((total, capacity) => total + capacity, 0);
+            const revenueStack = {};
+            for (const result of results) {
+                for (const [key, value] of Object.entries(result.revenueStack)) {
+                    revenueStack[key] = (revenueStack[key] || 0) + value;
+                }
+            }
+            const vwap = (energies) => {
+                const energy = energies.reduce((total, value) => total + value, 0);
+                return energy > 0 ? energies.reduce((total, value, t) => total + value * prices[t], 0) / energy : 0;
+            };
 
-            console.log(`Optimization completed successfully`);
+            console.log(`Fleet optimization completed: revenue ${sumOf('totalRevenue')}${coordinated ? ' (jointly optimized)' : ''}`);
 
             return {
                 success: true,
                 schedule,
-                priceCategories: this.priceCategories,
-                transitionMatrix: this.transitionMatrix,
-                emissionMatrix: this.emissionMatrix,
-                viterbiPath: this.viterbiPath,
-                totalRevenue,
+                priceCategories,
+                numStates,
+                stateLabels,
+                transitionMatrix,
+                emissionMatrix,
+                emissionModel,
+                initialProbs,
+                hmmTraining,
+                viterbiPath,
+                statePosteriors,
+                logLikelihood,
+                totalRevenue: sumOf('totalRevenue'),
+                tradingRevenue: sumOf('tradingRevenue'),
+                inventoryValue: sumOf('inventoryValue'),
+                initialSoC: sumOf('initialSoC'),
+                finalSoC: sumOf('finalSoC'),
                 totalEnergyCharged,
                 totalEnergyDischarged,
-                operationalEfficiency: efficiency,
+                storedEnergyCharged: sumOf('storedEnergyCharged'),
+                storedEnergyDischarged: sumOf('storedEnergyDischarged'),
+                selfDischargeLoss: sumOf('selfDischargeLoss'),
+                auxiliaryCost: sumOf('auxiliaryCost'),
+                tradingCosts: sumOf('tradingCosts'),
+                grossRevenue: sumOf('grossRevenue'),
+                revenueStack,
+                reserveUp: schedule.reserveUp,
+                reserveDown: schedule.reserveDown,
+                operationalEfficiency: totalEnergyCharged > 0 ? totalEnergyDischarged / totalEnergyCharged : 0,
                 avgPrice: prices.reduce((a, b) => a + b, 0) / prices.length,
-                cycles: actualCycles, // Use actual cycle count instead of flawed calculation
-                vwapCharge,
-                vwapDischarge
+                // Equivalent full cycles of the fleet's combined usable capacity
+                cycles: totalUsableCapacity > 0
+                    ? results.reduce((total, result, i) => total + result.cycles * usableCapacities[i], 0) / totalUsableCapacity
+                    : 0,
+                degradationCost: sumOf('degradationCost'),
+                vwapCharge: vwap(schedule.charging),
+                vwapDischarge: vwap(schedule.discharging),
+                timeStep: results[0].timeStep,
+                assets: results.map((result, i) => ({ name: assets[i].name, params: assets[i].params, ...result })),
+                gridLimit,
+                gridFlow,
+                coordinated,
+                method: coordinated ? 'linear_programming' : results[0].method,
+                seed
             };
         } catch (error) {
-            console.error(`Optimization failed with error:`, error);
-            console.error(`Error stack:`, error.stack);
+            if (error.name === 'AbortError') throw error;
+            console.error(`Fleet optimization failed with error:`, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Joint linear program of a fleet sharing a grid connection: every asset's linear program (see
+    // buildLinearProgram) side by side, coupled each step by the connection limit on the fleet's net flow,
+    // -gridLimit * dt <= sum(c_t + auxiliary - d_t) <= gridLimit * dt. The limit applies to the energy traded;
+    // reserved power is not counted against it. Returns one finalized schedule per asset.
+    linearProgrammingFleetOptimize(prices, assets, gridLimit, options = {}) {
+        const T = prices.length;
+        const { maxIterations = 100000, signal = null } = options;
+        const { dt } = this.getBatteryLimits(assets[0].params);
+        const programs = assets.map(asset => this.buildLinearProgram(prices, asset.params));
+        const auxiliaryEnergy = assets.reduce((total, asset) => total + this.getBatteryLimits(asset.params).auxiliaryEnergy, 0);
+
+        const objective = [];
+        const upperBounds = [];
+        const constraints = [];
+        const offsets = programs.map(program => {
+            const offset = objective.length;
+            objective.push(...program.objective);
+            upperBounds.push(...program.upperBounds);
+            for (const constraint of program.constraints) {
+                constraints.push({ ...constraint, terms: constraint.terms.map(([index, value]) => [index + offset, value]) });
+            }
+            return offset;
+        });
+
+        for (let t = 0; t < T; t++) {
+            const terms = programs.flatMap((program, i) => [
+                [offsets[i] + program.chargeIndex(t), 1],
+                [offsets[i] + program.dischargeIndex(t), -1]
+            ]);
+            constraints.push({ terms, type: '<=', rhs: gridLimit * dt - auxiliaryEnergy });
+            constraints.push({ terms, type: '>=', rhs: -gridLimit * dt - auxiliaryEnergy });
+        }
+
+        const solution = solveLinearProgram({ objective, constraints, upperBounds, maxIterations, signal });
+        console.log(`Fleet linear programming solver finished: status=${solution.status}, iterations=${solution.iterations}`);
+
+        if (solution.status !== 'optimal') {
+            throw new Error(`Linear programming solver did not find an optimum for the fleet (${solution.status})`);
+        }
+
+        return programs.map((program, i) => program.readSchedule(solution.x.slice(offsets[i], offsets[i] + program.objective.length)));
+    }
+
+    // Net grid flow of a fleet per step in MW (positive when importing): grid charge and auxiliary load less discharge.
+    getFleetGridFlow(schedules, assets) {
+        const { dt } = this.getBatteryLimits(assets[0].params);
+        return schedules[0].charging.map((_, t) => schedules.reduce((total, schedule, i) => {
+            const { auxiliaryEnergy } = this.getBatteryLimits(assets[i].params);
+            return total + schedule.charging[t] + auxiliaryEnergy - schedule.discharging[t];
+        }, 0) / dt);
+    }
+
+    // Portfolio schedule of several assets: energies, SoC and revenues summed per step. A step's action is the
+    // fleet's net direction.
+    combineSchedules(schedules) {
+        const T = schedules[0].charging.length;
+        const sumStep = (key) => Array.from({ length: T }, (_, t) => schedules.reduce((total, schedule) => total + schedule[key][t], 0));
+        const combined = {
+            charging: sumStep('charging'),
+            discharging: sumStep('discharging'),
+            soc: sumStep('soc'),
+            revenue: sumStep('revenue'),
+            finalSoC: schedules.reduce((total, schedule) => total + schedule.finalSoC, 0)
+        };
+        combined.actions = combined.charging.map((charge, t) => {
+            if (charge > 0 && charge >= combined.discharging[t]) return 'charge';
+            return combined.discharging[t] > 0 ? 'discharge' : 'idle';
+        });
+        if (schedules.some(schedule => schedule.reserveUp)) {
+            const reserveStep = (key) => Array.from({ length: T }, (_, t) => schedules.reduce((total, schedule) => total + (schedule[key] ? schedule[key][t] : 0), 0));
+            combined.reserveUp = reserveStep('reserveUp');
+            combined.reserveDown = reserveStep('reserveDown');
+        }
+        return combined;
+    }
+
+    // Two-stage stochastic mode: one schedule (the first-stage decision) for a set of price scenarios with
+    // weights, each scenario's revenue being the second stage. The schedule maximizes
+    // (1 - riskAversion) * expected revenue + riskAversion * CVaR, where CVaR is the weighted mean revenue of the
+    // worst (1 - cvarAlpha) share of scenarios. Risk-neutral (riskAversion 0) the optimum is the linear program on
+    // the expected prices, as revenue is linear in price; risk aversion trades expected revenue for a better tail.
+    // The price model (HMM fields) is fitted on the expected prices. Returns the optimize() result shape with the
+    // schedule valued at the expected prices (expectedPrices), plus scenarioRevenues (each scenario's schedule
+    // value, in scenario order) and revenueDistribution { expected, stdDev, min, max, p5, p50, p95, cvar }.
+    optimizeStochastic(scenarios, weights, params, categorizationMethod = 'quantile', categorizationOptions = {}, optimizationOptions = {}) {
+        try {
+            const { riskAversion = 0, cvarAlpha = 0.95 } = optimizationOptions;
+            if (!Array.isArray(scenarios) || scenarios.length === 0) {
+                throw new Error('No price scenarios provided');
+            }
+            const T = scenarios[0].length;
+            if (T === 0 || scenarios.some(scenario => scenario.length !== T)) {
+                throw new Error('Price scenarios must be non-empty and of equal length');
+            }
+            if (this.getSiteModel(scenarios[0], params)) {
+                throw new Error('The behind-the-meter site mode is not supported in stochastic mode');
+            }
+
+            const rawWeights = Array.isArray(weights) && weights.length === scenarios.length ? weights : scenarios.map(() => 1);
+            const totalWeight = rawWeights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+            if (!(totalWeight > 0)) throw new Error('Scenario weights must add up to a positive total');
+            const probabilities = rawWeights.map(weight => Math.max(0, weight) / totalWeight);
+            const expectedPrices = Array.from({ length: T }, (_, t) => scenarios.reduce((sum, scenario, k) => sum + probabilities[k] * scenario[t], 0));
+
+            console.log(`Starting stochastic optimization: ${scenarios.length} scenarios, risk aversion ${riskAversion}, CVaR alpha ${cvarAlpha}`);
+            const base = this.optimize(expectedPrices, params, categorizationMethod, categorizationOptions, 'linear_programming', optimizationOptions);
+            if (!base.success) return base;
+
+            const schedule = this.linearProgrammingStochasticOptimize(scenarios, probabilities, expectedPrices, params, riskAversion, cvarAlpha, optimizationOptions);
+            const scenarioRevenues = scenarios.map(scenario => this.getScheduleValue(this.evaluateSchedule(schedule, scenario, params)));
+            const revenueDistribution = this.getRevenueDistribution(scenarioRevenues, probabilities, cvarAlpha);
+
+            console.log(`Stochastic optimization completed: expected revenue ${revenueDistribution.expected}, CVaR ${revenueDistribution.cvar}`);
+
+            return {
+                ...base,
+                schedule,
+                ...this.summarizeSchedule(schedule, expectedPrices, params),
+                expectedPrices,
+                scenarioRevenues,
+                scenarioWeights: probabilities,
+                revenueDistribution,
+                riskAversion,
+                cvarAlpha,
+                method: 'stochastic_linear_programming'
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Stochastic optimization failed with error:`, error);
             return {
                 success: false,
                 error: error.message
@@ -1022,6 +2796,107 @@ class BatteryOptimizer {
         }
     }
 
+    // Linear program of the stochastic mode. The battery's variables and constraints are those of
+    // buildLinearProgram; scenario k's revenue is its objective at the scenario prices plus the constant part of
+    // the schedule value (the auxiliary load cost), R_k = r_k · x + const_k.
+    // CVaR follows Rockafellar and Uryasev: CVaR = eta - sum(p_k * z_k) / (1 - alpha) with z_k >= eta - R_k,
+    // z_k >= 0 and the free variable eta split into eta+ - eta-. Returns the schedule valued at the expected prices.
+    linearProgrammingStochasticOptimize(scenarios, probabilities, expectedPrices, params, riskAversion, cvarAlpha, options = {}) {
+        const { maxIterations = 100000, signal = null } = options;
+        const program = this.buildLinearProgram(expectedPrices, params);
+        const numBatteryVars = program.objective.length;
+        const { auxiliaryEnergy } = this.getBatteryLimits(params);
+
+        const objective = program.objective.map(() => 0);
+        const upperBounds = [...program.upperBounds];
+        const constraints = [...program.constraints];
+        const useCvar = riskAversion > 0;
+        const etaPlusIndex = numBatteryVars;
+        const etaMinusIndex = numBatteryVars + 1;
+        const tailIndex = (k) => numBatteryVars + 2 + k;
+
+        scenarios.forEach((scenario, k) => {
+            const revenueCoefficients = this.buildLinearProgram(scenario, params).objective;
+            for (let j = 0; j < numBatteryVars; j++) {
+                objective[j] += (1 - riskAversion) * probabilities[k] * revenueCoefficients[j];
+            }
+            if (!useCvar) return;
+
+            const { buy } = this.getTradingPrices(scenario, params);
+            const constant = -auxiliaryEnergy * buy.reduce((sum, price) => sum + price, 0);
+            const terms = revenueCoefficients.flatMap((coefficient, j) => coefficient !== 0 ? [[j, coefficient]] : []);
+            terms.push([tailIndex(k), 1], [etaPlusIndex, -1], [etaMinusIndex, 1]);
+            constraints.push({ terms, type: '>=', rhs: -constant });
+            objective[tailIndex(k)] = -riskAversion * probabilities[k] / (1 - cvarAlpha);
+            upperBounds[tailIndex(k)] = Infinity;
+        });
+        if (useCvar) {
+            objective[etaPlusIndex] = riskAversion;
+            objective[etaMinusIndex] = -riskAversion;
+            upperBounds[etaPlusIndex] = Infinity;
+            upperBounds[etaMinusIndex] = Infinity;
+        }
+
+        const solution = solveLinearProgram({ objective, constraints, upperBounds, maxIterations, signal });
+        console.log(`Stochastic linear programming solver finished: status=${solution.status}, iterations=${solution.iterations}`);
+
+        if (solution.status !== 'optimal') {
+            throw new Error(`Linear programming solver did not find an optimum for the scenarios (${solution.status})`);
+        }
+
+        return program.readSchedule(solution.x.slice(0, numBatteryVars));
+    }
+
+    // A fixed schedule valued at other prices: the same charge, discharge and SoC path (and reserve payments),
+    // with revenue, standing losses and stored-energy value recomputed at the given prices.
+    evaluateSchedule(schedule, prices, params) {
+        const { buy, sell } = this.getTradingPrices(prices, params);
+        const evaluated = {
+            ...schedule,
+            revenue: schedule.charging.map((charge, t) =>
+                schedule.discharging[t] * sell[t] - charge * buy[t] + (schedule.reserveRevenue ? schedule.reserveRevenue[t] : 0))
+        };
+        return this.finalizeSchedule(evaluated, prices, params, schedule.finalSoC);
+    }
+
+    // Weighted summary of scenario revenues: expected value, standard deviation, range, percentiles and the
+    // CVaR at cvarAlpha (weighted mean of the worst 1 - cvarAlpha probability mass).
+    getRevenueDistribution(revenues, probabilities, cvarAlpha = 0.95) {
+        const expected = revenues.reduce((sum, revenue, k) => sum + probabilities[k] * revenue, 0);
+        const variance = revenues.reduce((sum, revenue, k) => sum + probabilities[k] * Math.pow(revenue - expected, 2), 0);
+        const sorted = revenues.map((revenue, k) => ({ revenue, probability: probabilities[k] })).sort((a, b) => a.revenue - b.revenue);
+
+        const percentile = (share) => {
+            let cumulative = 0;
+            for (const { revenue, probability } of sorted) {
+                cumulative += probability;
+                if (cumulative >= share - 1e-12) return revenue;
+            }
+            return sorted[sorted.length - 1].revenue;
+        };
+
+        const tailMass = 1 - cvarAlpha;
+        let remaining = tailMass;
+        let tailSum = 0;
+        for (const { revenue, probability } of sorted) {
+            if (remaining <= 0) break;
+            const mass = Math.min(probability, remaining);
+            tailSum += mass * revenue;
+            remaining -= mass;
+        }
+
+        return {
+            expected,
+            stdDev: Math.sqrt(variance),
+            min: sorted[0].revenue,
+            max: sorted[sorted.length - 1].revenue,
+            p5: percentile(0.05),
+            p50: percentile(0.5),
+            p95: percentile(0.95),
+            cvar: tailMass > 0 ? tailSum / tailMass : sorted[0].revenue
+        };
+    }
+
     // Test method to verify SoC calculation
     testSoCCalculation() {
         console.log('=== Testing SoC Calculation ===');
@@ -1074,7 +2949,7 @@ class BatteryOptimizer {
             
             // Show SoC evolution and verify it matches charging/discharging
             console.log('\nSoC Evolution Analysis:');
-            let expectedSoC = (testParams.socMin + testParams.socMax) / 2;
+            const limits = this.getBatteryLimits(testParams);
             let totalEnergyCharged = 0;
             let totalEnergyDischarged = 0;
             
@@ -1082,8 +2957,8 @@ class BatteryOptimizer {
                 const actualSoC = result.schedule.soc[t];
                 const charge = result.schedule.charging[t];
                 const discharge = result.schedule.discharging[t];
-                const energyCharged = charge * testParams.efficiency;
-                const energyDischarged = discharge;
+                const energyCharged = charge * limits.etaCharge;
+                const energyDischarged = discharge / limits.etaDischarge;
                 
                 totalEnergyCharged += energyCharged;
                 totalEnergyDischarged += energyDischarged;
@@ -1316,7 +3191,9 @@ class BatteryOptimizer {
             { name: 'kmeans', options: { k: 3, maxIterations: 50 } },
             { name: 'volatility', options: { windowSize: 12, volatilityThreshold: 0.15 } },
             { name: 'adaptive', options: { sensitivity: 0.3, minSpread: 0.15 } },
-            { name: 'zscore', options: { lowThreshold: -0.7, highThreshold: 0.7 } }
+            { name: 'zscore', options: { lowThreshold: -0.7, highThreshold: 0.7 } },
+            { name: 'gaussian_hmm', label: 'gaussian_hmm (gaussian)', options: { emissionDistribution: 'gaussian' } },
+            { name: 'gaussian_hmm', label: 'gaussian_hmm (lognormal)', options: { emissionDistribution: 'lognormal' } }
         ];
         
         const results = {};
@@ -1343,7 +3220,7 @@ class BatteryOptimizer {
                 const result = this.optimize(prices, params, method.name, method.options);
                 
                 if (result.success) {
-                    results[method.name] = {
+                    results[method.label || method.name] = {
                         categories,
                         categoryCounts,
                         totalRevenue: result.totalRevenue,
@@ -0,0 +1,266 @@
+// Path: src/utils/backtestRunner.js
+
+import { createHealthState, applyStateOfHealth, advanceHealthState } from './stateOfHealth.js';
+import { inferTimeStep } from './dataLoaders.js';
+import { forecastPrices, evaluateForecast, getForecastWindow } from './forecasting.js';
+
+// Minimum number of hours of prices for a period to be optimized.
+const MIN_PERIOD_HOURS = 24;
+
+// Minimum number of hours of history for a walk-forward day to be forecast (exponential smoothing needs two days).
+const MIN_TRAINING_HOURS = 48;
+
+// Calendar month of a record (YYYY-MM), the billing period of site demand charges.
+const billingMonth = (record) => {
+    const date = new Date(record.datetime);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Builds a period result from the simplified scheduler, used when the selected method fails.
+const simplifiedPeriodResult = (optimizer, prices, params, method) => {
+    const simpleSchedule = optimizer.simpleOptimize(prices, params);
+    const tradingRevenue = simpleSchedule.revenue.reduce((sum, rev) => sum + rev, 0);
+    const totalRevenue = optimizer.getScheduleValue(simpleSchedule) - simpleSchedule.inventoryValue;
+    const totalEnergyCharged = simpleSchedule.charging.reduce((sum, charge) => sum + charge, 0);
+    const totalEnergyDischarged = simpleSchedule.discharging.reduce((sum, discharge) => sum + discharge, 0);
+
+    console.log(`  Revenue: ${totalRevenue}`);
+    console.log(`  Energy charged: ${totalEnergyCharged}`);
+    console.log(`  Energy discharged: ${totalEnergyDischarged}`);
+
+    return {
+        success: true,
+        schedule: simpleSchedule,
+        totalRevenue,
+        tradingRevenue,
+        tradingCosts: simpleSchedule.tradingCosts,
+        grossRevenue: totalRevenue + simpleSchedule.tradingCosts,
+        inventoryValue: simpleSchedule.inventoryValue,
+        revenueStack: optimizer.getRevenueStack(simpleSchedule),
+        initialSoC: optimizer.getInitialSoC(params),
+        finalSoC: simpleSchedule.finalSoC,
+        totalEnergyCharged,
+        totalEnergyDischarged,
+        operationalEfficiency: totalEnergyCharged > 0 ? totalEnergyDischarged / totalEnergyCharged : 0,
+        avgPrice: prices.reduce((a, b) => a + b, 0) / prices.length,
+        cycles: simpleSchedule.equivalentFullCycles,
+        cycleDepths: simpleSchedule.cycleDepths,
+        degradationCost: simpleSchedule.degradationCost,
+        vwapCharge: 0,
+        vwapDischarge: 0,
+        method
+    };
+};
+
+// Walk-forward planning prices for one day: a forecast from the config.walkForward.trainingDays of records
+// (config.walkForward.records) before the day, so none of the prices the day is scored on are used to plan it.
+// Returns the forecast with the history it was made from, or null when there is too little history.
+const forecastPeriod = (groupData, config, dt) => {
+    const { records, trainingDays, forecastModel } = config.walkForward;
+    const dayStart = new Date(groupData[0].datetime);
+    dayStart.setHours(0, 0, 0, 0);
+    const { history } = getForecastWindow(records, dayStart, trainingDays);
+    if (history.length * dt < MIN_TRAINING_HOURS) return null;
+
+    const forecast = forecastPrices(history, groupData.length, forecastModel, {
+        dt,
+        categorizationMethod: config.categorizationMethod,
+        categorizationOptions: config.categorizationOptions
+    });
+    return { ...forecast, history };
+};
+
+// A result planned on forecast prices, with its schedule valued at the realized prices. The revenue the plan
+// expected is kept as forecastRevenue.
+const settleAtRealizedPrices = (optimizer, planned, prices, params) => {
+    const schedule = optimizer.evaluateSchedule(planned.schedule, prices, params);
+    return {
+        ...planned,
+        schedule,
+        ...optimizer.summarizeSchedule(schedule, prices, params),
+        forecastRevenue: planned.totalRevenue
+    };
+};
+
+// Optimizes one backtest period, falling back to the simplified scheduler if the selected method fails.
+// Reserve and site periods have no simplified counterpart, so their failures are thrown instead of being reported
+// as a wholesale-only schedule.
+// The time step (params.dt) is inferred from the period's datetimes, so hourly and 15-minute data can be mixed.
+// Behind the meter, demand charges are billed per calendar month of the period.
+// With config.walkForward the period (a day) is scheduled on forecast prices and scored at the realized ones;
+// the price regimes are fitted on the training history and predicted for the day (optimizationOptions
+// .trainingPrices of BatteryOptimizer.optimize). Results then also carry forecastPrices, forecastModel,
+// forecastAccuracy and forecastRevenue.
+// Results carry perfectForesightRevenue and captureRate (see BatteryOptimizer.calculateCaptureRate) unless
+// config.captureRate is false; the benchmark costs a second optimization per period, except when the period was
+// planned by linear programming on its realized prices, whose schedule already is the benchmark.
+// optimizationOptions.signal interrupts a linear program in progress with an AbortError, which is thrown.
+// Returns null if the period is too short, lacks forecast history, or even the fallback fails.
+const runPeriod = (optimizer, key, groupData, config, optimizationOptions) => {
+    const { categorizationMethod, categorizationOptions, optimizationMethod } = config;
+    const prices = groupData.map(record => record.price);
+    const params = { ...config.params, dt: inferTimeStep(groupData) };
+    if (params.site) params.site = { ...params.site, billingPeriods: groupData.map(billingMonth) };
+
+    console.log(`Processing period ${key}: ${prices.length} data points of ${params.dt * 60} minutes`);
+
+    if (prices.length * params.dt < MIN_PERIOD_HOURS) {
+        console.warn(`Skipping period ${key} due to insufficient data (${prices.length * params.dt} < ${MIN_PERIOD_HOURS} hours).`);
+        return null;
+    }
+
+    const periodInfo = {
+        period: key,
+        periodStart: groupData[0].datetime,
+        periodEnd: groupData[groupData.length - 1].datetime,
+        dataPoints: prices.length,
+        timeStep: params.dt,
+        prices
+    };
+
+    let planPrices = prices;
+    let planOptions = optimizationOptions;
+    let forecastInfo = null;
+    if (config.walkForward) {
+        const forecast = forecastPeriod(groupData, config, params.dt);
+        if (!forecast) {
+            console.warn(`Skipping period ${key}: less than ${MIN_TRAINING_HOURS} hours of history before it to forecast from.`);
+            return null;
+        }
+        planPrices = forecast.forecast;
+        planOptions = { ...optimizationOptions, trainingPrices: forecast.history };
+        forecastInfo = {
+            forecastPrices: forecast.forecast,
+            forecastModel: config.walkForward.forecastModel,
+            forecastAccuracy: evaluateForecast(forecast.forecast, prices, forecast)
+        };
+    }
+
+    // Scores a result at the realized prices against the perfect-foresight optimum (unless config.captureRate
+    // is false)
+    const scorePeriod = (planned) => {
+        const result = forecastInfo ? { ...settleAtRealizedPrices(optimizer, planned, prices, params), ...forecastInfo } : planned;
+        if (config.captureRate === false) return { ...periodInfo, ...result };
+        const benchmark = optimizer.calculateCaptureRate(prices, params, result.totalRevenue, {
+            benchmark: !forecastInfo && planned.method === 'linear_programming' ? planned.schedule : null,
+            signal: optimizationOptions.signal
+        });
+        return { ...periodInfo, ...result, ...benchmark };
+    };
+
+    const canFallBack = !optimizer.requiresLinearProgram(prices, params);
+    try {
+        const result = optimizer.optimize(planPrices, params, categorizationMethod, categorizationOptions, optimizationMethod, planOptions);
+
+        if (result.success) {
+            console.log(`✓ Optimization successful for period ${key}`);
+            console.log(`  Revenue: ${result.totalRevenue}`);
+            return scorePeriod(result);
+        }
+
+        console.error(`✗ Main optimization failed for period ${key}:`, result.error);
+        if (!canFallBack) throw new Error(`Period ${key}: ${result.error}`);
+        console.log(`Attempting simplified optimization for period ${key}...`);
+        return scorePeriod(simplifiedPeriodResult(optimizer, planPrices, params, 'simplified'));
+    } catch (optimizationError) {
+        if (!canFallBack || optimizationError.name === 'AbortError') throw optimizationError;
+        console.error(`✗ Optimization threw exception for period ${key}:`, optimizationError);
+        console.log(`Attempting simplified optimization as fallback for period ${key}...`);
+        try {
+            return scorePeriod(simplifiedPeriodResult(optimizer, planPrices, params, 'simplified_fallback'));
+        } catch (fallbackError) {
+            console.error(`✗ Simplified optimization fallback also failed for period ${key}:`, fallbackError);
+            return null;
+        }
+    }
+};
+
+// Calendar hours from the end of the previous period (or the start of this one) to the end of this period.
+// Falls back to the number of prices times the time step when the datetimes cannot be parsed.
+const elapsedHours = (groupData, previousEnd) => {
+    const dt = inferTimeStep(groupData);
+    const end = new Date(groupData[groupData.length - 1].datetime).getTime();
+    const start = previousEnd ?? new Date(groupData[0].datetime).getTime() - dt * 3600000;
+    const hours = (end - start) / 3600000;
+    return Number.isFinite(hours) && hours > 0 ? hours : groupData.length * dt;
+};
+
+// Battery parameters for one period of a chained backtest: the period starts from the SoC the previous
+// period ended with. An "end at least where it started" constraint keeps referring to the SoC the
+// backtest started with, otherwise the stored energy could only ratchet upwards from period to period.
+const chainedPeriodParams = (optimizer, params, carriedSoC) => {
+    const terminalSoC = params.terminalSoC === 'initial' ? optimizer.getInitialSoC(params) : params.terminalSoC;
+    return { ...params, initialSoC: carriedSoC ?? optimizer.getInitialSoC(params), terminalSoC };
+};
+
+// Runs the backtest over every period in order. Each finished period is reported through
+// onPeriodResult and onProgress({ completed, total, period }) so callers can stream results;
+// onGeneration({ period, generation, bestScore }) forwards differential evolution progress.
+// With config.chainSoC every period starts from the final SoC of the previous one, as a single
+// physical battery would; otherwise each period starts independently from params.initialSoC.
+// With config.agingModel (see stateOfHealth.js) each period runs on the capacity left after the cycling and
+// calendar ageing of the periods before it; results then carry stateOfHealth at the start and end of the period.
+// With config.walkForward ({ records, trainingDays, forecastModel }) the periods are days, each planned on a
+// forecast from the trailing trainingDays of records and scored at its realized prices (out-of-sample).
+// When `signal` is aborted the run stops before the next period, or inside a linear program in progress (whose
+// period is dropped), and the periods finished so far are returned; other schedulers finish their period first
+// (in the worker, the client terminates the worker if that takes too long).
+// Yields to the event loop between periods so a worker can still receive messages such as cancel.
+export const runBacktestPeriods = async (optimizer, groups, groupKeys, config, callbacks = {}) => {
+    const { onPeriodResult = () => {}, onProgress = () => {}, onGeneration = () => {}, signal = null } = callbacks;
+    if (config.walkForward && config.params.site) {
+        throw new Error('The behind-the-meter site mode is not supported in walk-forward mode');
+    }
+    const results = [];
+    let carriedSoC = null;
+    let health = createHealthState();
+    let previousEnd = null;
+
+    for (const [index, key] of groupKeys.entries()) {
+        if (signal && signal.aborted) break;
+
+        const optimizationOptions = {
+            ...config.optimizationOptions,
+            signal,
+            onProgress: (generation, bestScore) => onGeneration({ period: key, generation, bestScore })
+        };
+        let params = config.params;
+        if (config.agingModel) params = applyStateOfHealth(params, health.stateOfHealth);
+        if (config.chainSoC) params = chainedPeriodParams(optimizer, params, carriedSoC);
+        const periodConfig = { ...config, params };
+        let result;
+        try {
+            result = runPeriod(optimizer, key, groups[key], periodConfig, optimizationOptions);
+        } catch (error) {
+            if (error.name === 'AbortError') break;
+            throw error;
+        }
+        if (config.agingModel && groups[key].length > 0) {
+            const startHealth = health.stateOfHealth;
+            health = advanceHealthState(health, {
+                cycleDepths: result ? result.cycleDepths : [],
+                usableCapacity: params.socMax - params.socMin,
+                throughput: result ? result.storedEnergyDischarged ?? result.totalEnergyDischarged : 0,
+                hours: elapsedHours(groups[key], previousEnd)
+            }, config.agingModel);
+            previousEnd = new Date(groups[key][groups[key].length - 1].datetime).getTime();
+            if (result) {
+                result.stateOfHealth = startHealth;
+                result.stateOfHealthEnd = health.stateOfHealth;
+                result.usableCapacity = params.socMax - params.socMin;
+                result.cumulativeCycles = health.equivalentFullCycles;
+                result.cumulativeThroughput = health.throughput;
+            }
+        }
+        if (result) {
+            carriedSoC = result.finalSoC;
+            results.push(result);
+            onPeriodResult(result);
+        }
+        onProgress({ completed: index + 1, total: groupKeys.length, period: key });
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return results;
+};
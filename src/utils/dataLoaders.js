@@ -59,6 +59,8 @@ export const loadPolishData = async () => {
 
         if (data.length === 0) throw new Error('No valid data rows found');
 
+        console.log(`Loaded ${data.length} records at a resolution of ${inferTimeStep(data) * 60} minutes`);
+
         return data;
 
     } catch (error) {
@@ -67,6 +69,42 @@ export const loadPolishData = async () => {
     }
 };
 
+// Infers the time step in hours (1 for hourly, 0.25 for 15-minute prices) from the record datetimes.
+// Uses the median spacing so daylight-saving shifts and missing records do not skew it; defaults to 1 hour.
+export const inferTimeStep = (records) => {
+    if (!Array.isArray(records)) return 1;
+    const steps = [];
+    for (let i = 1; i < records.length; i++) {
+        const hours = (new Date(records[i].datetime) - new Date(records[i - 1].datetime)) / 3600000;
+        if (Number.isFinite(hours) && hours > 0) steps.push(hours);
+    }
+    if (steps.length === 0) return 1;
+    steps.sort((a, b) => a - b);
+    return steps[Math.floor(steps.length / 2)];
+};
+
+// Draws price scenarios by bootstrapping historical days: complete calendar days (24 hours of records at the
+// data's time step) are sampled with replacement. `random` is a Math.random-like generator so draws can be seeded.
+// Returns { scenarios (price arrays), days (the date of each scenario), timeStep }.
+export const bootstrapDayScenarios = (records, numScenarios, random = Math.random) => {
+    const timeStep = inferTimeStep(records);
+    const stepsPerDay = Math.round(24 / timeStep);
+    const days = {};
+    (Array.isArray(records) ? records : []).forEach(record => {
+        const date = new Date(record.datetime);
+        const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        if (!days[key]) days[key] = [];
+        days[key].push(record.price);
+    });
+
+    // Daylight-saving days and days with gaps have the wrong number of steps and are left out
+    const completeDays = Object.keys(days).sort().filter(key => days[key].length === stepsPerDay);
+    if (completeDays.length === 0) throw new Error('No complete historical days to draw price scenarios from');
+
+    const drawn = Array.from({ length: numScenarios }, () => completeDays[Math.floor(random() * completeDays.length)]);
+    return { scenarios: drawn.map(key => days[key]), days: drawn, timeStep };
+};
+
 // Filters data records based on a specified date range.
 export const filterDataByDateRange = (data, startDate, endDate) => {
     const start = new Date(startDate);
@@ -80,7 +118,7 @@ export const filterDataByDateRange = (data, startDate, endDate) => {
     });
 };
 
-// Groups data by specified period type (monthly, quarterly, yearly).
+// Groups data by specified period type (daily, monthly, quarterly, yearly).
 export const groupDataByPeriod = (data, periodType) => {
     const groups = {};
     if (!Array.isArray(data)) return {};
@@ -90,6 +128,9 @@ export const groupDataByPeriod = (data, periodType) => {
         let key;
 
         switch (periodType) {
+            case 'daily':
+                key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+                break;
             case 'monthly':
                 key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
                 break;
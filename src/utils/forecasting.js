@@ -0,0 +1,198 @@
+// Path: src/utils/forecasting.js
+
+import BatteryOptimizer from './BatteryOptimizerClass.js';
+import { inferTimeStep } from './dataLoaders.js';
+
+// Day-ahead price forecasting models. Each forecasts the `horizon` steps that follow a price history at a time
+// step of dt hours; the history must start at midnight so step indices line up with the hour of day and the day
+// of week. Every model returns { model, forecast, lower, upper }, where lower and upper bound a 90% prediction
+// interval, and evaluateForecast scores a forecast against the realized prices.
+
+export const FORECAST_MODELS = {
+    seasonal_naive: 'Seasonal naive (same hour last week)',
+    exponential_smoothing: 'Exponential smoothing (daily + weekly seasonality)',
+    hmm: 'HMM predictive distribution'
+};
+
+// Two-sided 90% normal quantile.
+const Z_90 = 1.645;
+
+// Prices closer to zero than this (€/MWh) are left out of MAPE, where they would dominate the average.
+const MAPE_MIN_PRICE = 1;
+
+// Steps per day and per week at time step dt.
+const getSeasonLengths = (dt) => ({ day: Math.round(24 / dt), week: Math.round(168 / dt) });
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+    if (values.length < 2) return 0;
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1));
+};
+
+// Symmetric interval of z standard deviations around a forecast.
+const withInterval = (model, forecast, spread) => ({
+    model,
+    forecast,
+    lower: forecast.map((value, h) => value - Z_90 * (Array.isArray(spread) ? spread[h] : spread)),
+    upper: forecast.map((value, h) => value + Z_90 * (Array.isArray(spread) ? spread[h] : spread))
+});
+
+// Seasonal naive: every step repeats the price one week earlier (one day earlier when the history is shorter
+// than a week). The interval comes from the spread of the in-sample seasonal differences.
+export const seasonalNaiveForecast = (history, horizon, { dt = 1 } = {}) => {
+    const { day, week } = getSeasonLengths(dt);
+    const season = history.length >= week ? week : day;
+    if (history.length < season) {
+        throw new Error(`Seasonal naive forecast needs at least one day of history (${season} steps)`);
+    }
+
+    const n = history.length;
+    const forecast = Array.from({ length: horizon }, (_, h) => history[n - season + (h % season)]);
+    const differences = history.slice(season).map((price, t) => price - history[t]);
+    return withInterval('seasonal_naive', forecast, standardDeviation(differences));
+};
+
+// Additive exponential smoothing with a daily and a weekly seasonal component (Taylor's double seasonal
+// Holt-Winters without trend). The level, daily and weekly components are initialized from the first week and
+// updated with smoothing factors alpha, delta and omega; with less than two weeks of history only the daily
+// component is used. The interval comes from the spread of the one-step-ahead errors.
+export const exponentialSmoothingForecast = (history, horizon, { dt = 1, alpha = 0.1, delta = 0.2, omega = 0.2 } = {}) => {
+    const { day, week } = getSeasonLengths(dt);
+    const n = history.length;
+    if (n < 2 * day) {
+        throw new Error(`Exponential smoothing needs at least two days of history (${2 * day} steps)`);
+    }
+
+    const useWeekly = n >= 2 * week;
+    const initLength = useWeekly ? week : day;
+    const initial = history.slice(0, initLength);
+    let level = mean(initial);
+    const daily = Array.from({ length: day }, (_, i) => mean(initial.filter((_, t) => t % day === i)) - level);
+    const weekly = Array.from({ length: week }, (_, i) => useWeekly ? initial[i] - level - daily[i % day] : 0);
+
+    const errors = [];
+    for (let t = initLength; t < n; t++) {
+        const d = t % day;
+        const w = t % week;
+        const price = history[t];
+        errors.push(price - (level + daily[d] + weekly[w]));
+
+        level = alpha * (price - daily[d] - weekly[w]) + (1 - alpha) * level;
+        daily[d] = delta * (price - level - weekly[w]) + (1 - delta) * daily[d];
+        if (useWeekly) weekly[w] = omega * (price - level - daily[d]) + (1 - omega) * weekly[w];
+    }
+
+    const forecast = Array.from({ length: horizon }, (_, h) => level + daily[(n + h) % day] + weekly[(n + h) % week]);
+    return withInterval('exponential_smoothing', forecast, standardDeviation(errors));
+};
+
+// HMM predictive distribution: the history is categorized into price regimes and the regime transition matrix is
+// trained on it with the optimizer's own model (see BatteryOptimizer.categorizePrices and
+// calculateTransitionMatrix). Starting from the last observed regime, the regime probabilities are propagated one
+// step at a time and reweighted by how often each regime occurs at that hour of day; each step's forecast is the
+// mixture of the regimes' price distributions at that hour (regime-wide moments where a regime has fewer than
+// three prices at that hour). The interval is the normal approximation of the mixture.
+export const hmmForecast = (history, horizon, { dt = 1, categorizationMethod = 'quantile', categorizationOptions = {} } = {}) => {
+    const { day } = getSeasonLengths(dt);
+    if (history.length < day) {
+        throw new Error(`HMM forecast needs at least one day of history (${day} steps)`);
+    }
+
+    const optimizer = new BatteryOptimizer();
+    const categories = optimizer.categorizePrices(history, categorizationMethod, categorizationOptions);
+    const numStates = optimizer.getNumStates(categorizationMethod, categorizationOptions);
+    const transitionMatrix = optimizer.calculateTransitionMatrix(categories, numStates);
+
+    // Price moments by regime, overall and by hour of day, and the share of each regime's steps at every hour
+    // (add-one smoothed, so a regime never seen at an hour keeps a small weight there)
+    const moments = (prices) => ({ mean: mean(prices), variance: Math.pow(standardDeviation(prices), 2) });
+    const overallMean = mean(history);
+    const regimeMoments = [];
+    const hourShares = [];
+    for (let s = 0; s < numStates; s++) {
+        const prices = history.filter((_, t) => categories[t] === s + 1);
+        const regime = prices.length > 0 ? moments(prices) : { mean: overallMean, variance: 0 };
+        const byHour = Array.from({ length: day }, (_, i) => history.filter((_, t) => categories[t] === s + 1 && t % day === i));
+        regimeMoments.push(byHour.map(hourPrices => hourPrices.length >= 3 ? moments(hourPrices) : regime));
+        hourShares.push(byHour.map(hourPrices => (hourPrices.length + 1) / (prices.length + day)));
+    }
+
+    let probabilities = Array.from({ length: numStates }, (_, s) => s === categories[categories.length - 1] - 1 ? 1 : 0);
+    const forecast = [];
+    const spread = [];
+    const regimeProbabilities = [];
+    for (let h = 0; h < horizon; h++) {
+        probabilities = probabilities.map((_, to) => probabilities.reduce((sum, p, from) => sum + p * transitionMatrix[from][to], 0));
+        const slot = (history.length + h) % day;
+        const weights = probabilities.map((p, s) => p * hourShares[s][slot]);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const regimeWeights = weights.map(weight => totalWeight > 0 ? weight / totalWeight : 1 / numStates);
+        const expected = regimeWeights.reduce((sum, p, s) => sum + p * regimeMoments[s][slot].mean, 0);
+        const secondMoment = regimeWeights.reduce((sum, p, s) =>
+            sum + p * (regimeMoments[s][slot].variance + Math.pow(regimeMoments[s][slot].mean, 2)), 0);
+        forecast.push(expected);
+        spread.push(Math.sqrt(Math.max(0, secondMoment - expected * expected)));
+        regimeProbabilities.push(regimeWeights);
+    }
+
+    return { ...withInterval('hmm', forecast, spread), regimeProbabilities, transitionMatrix };
+};
+
+// Splits price records into the forecast day starting at `start` (a Date at local midnight) and the history of the
+// lookbackDays days before it. Returns { history, actual, timeStep } with price arrays; on daylight-saving days
+// the step indices drift an hour against the clock.
+export const getForecastWindow = (records, start, lookbackDays) => {
+    const startTime = start.getTime();
+    const historyStart = new Date(start);
+    historyStart.setDate(historyStart.getDate() - lookbackDays);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    const inRange = (from, to) => records.filter(record => {
+        const time = new Date(record.datetime).getTime();
+        return time >= from && time < to;
+    });
+    const historyRecords = inRange(historyStart.getTime(), startTime);
+    return {
+        history: historyRecords.map(record => record.price),
+        actual: inRange(startTime, end.getTime()).map(record => record.price),
+        timeStep: inferTimeStep(historyRecords)
+    };
+};
+
+// Runs one of FORECAST_MODELS on a price history.
+export const forecastPrices = (history, horizon, model, options = {}) => {
+    switch (model) {
+        case 'seasonal_naive':
+            return seasonalNaiveForecast(history, horizon, options);
+        case 'exponential_smoothing':
+            return exponentialSmoothingForecast(history, horizon, options);
+        case 'hmm':
+            return hmmForecast(history, horizon, options);
+        default:
+            throw new Error(`Unknown forecast model: ${model}`);
+    }
+};
+
+// Accuracy of a forecast against the realized prices: mean absolute error and root mean squared error in €/MWh,
+// and mean absolute percentage error as a share (prices within MAPE_MIN_PRICE of zero are skipped; null when none
+// are left). coverage is the share of realized prices inside the forecast interval, when one is given.
+export const evaluateForecast = (forecast, actual, interval = null) => {
+    const steps = actual.map((_, t) => t).filter(t => Number.isFinite(actual[t]) && Number.isFinite(forecast[t]));
+    if (steps.length === 0) return { mae: null, rmse: null, mape: null, coverage: null };
+
+    const errors = steps.map(t => forecast[t] - actual[t]);
+    const percentageSteps = steps.filter(t => Math.abs(actual[t]) >= MAPE_MIN_PRICE);
+    return {
+        mae: mean(errors.map(Math.abs)),
+        rmse: Math.sqrt(mean(errors.map(error => error * error))),
+        mape: percentageSteps.length > 0
+            ? mean(percentageSteps.map(t => Math.abs(forecast[t] - actual[t]) / Math.abs(actual[t])))
+            : null,
+        coverage: interval
+            ? steps.filter(t => actual[t] >= interval.lower[t] && actual[t] <= interval.upper[t]).length / steps.length
+            : null
+    };
+};
@@ -0,0 +1,304 @@
+// Path: src/utils/linearProgramming.js
+
+// Dense two-phase primal simplex with bounded variables.
+//
+// Solves:  maximize  objective · x
+//          subject to  constraint rows  (<=, >= or =)
+//                      0 <= x[j] <= upperBounds[j]
+//
+// Constraints are given as { terms: [[index, coefficient], ...], type, rhs }.
+// Variable upper bounds are handled by complementing the variable (x = u - x')
+// instead of adding explicit rows, which keeps the tableau at one row per constraint.
+// The solver is deterministic: the same problem always returns the same vertex.
+// A `signal` ({ aborted }, e.g. an AbortSignal) is checked before every pivot; once it is aborted the solve
+// stops with an error named 'AbortError'.
+//
+// The tableau is dense, so memory and time grow with the square of the horizon: a plain battery has about
+// four columns per row and one row per step, so T steps need about 4 * T^2 entries (8 bytes each). Problems
+// above maxTableauEntries are rejected before anything is allocated with an error named 'LinearProgramSizeError'.
+// Reserve and the site mode add rows and columns per step (see buildLinearProgram in BatteryOptimizerClass.js),
+// so the longest horizon under the default limit depends on the mode:
+//   plain battery               about 3,160 steps (130 days of hourly or 33 days of 15-minute prices)
+//   site                        about 1,690 steps (70 days hourly, 17 days 15-minute)
+//   site with a demand charge   about 1,290 steps (53 days hourly, 13 days 15-minute)
+//   symmetric reserve           about 720 steps (30 days hourly, 7 days 15-minute)
+//   asymmetric reserve          about 690 steps (28 days hourly, 7 days 15-minute)
+// Reserve only adds rows for eligible steps with a positive capacity price, so fewer reserve hours fit longer
+// horizons. The battery scheduler solves longer horizons in daily windows (linearProgrammingWindowOptimize).
+
+const TOLERANCE = 1e-9;
+
+// Largest tableau the solver allocates by default: 40 million entries, about 320 MB (see above for the
+// horizons this allows per mode).
+export const MAX_TABLEAU_ENTRIES = 40e6;
+
+export const solveLinearProgram = ({
+    objective,
+    constraints,
+    upperBounds = [],
+    maxIterations = 100000,
+    tolerance = TOLERANCE,
+    maxTableauEntries = MAX_TABLEAU_ENTRIES,
+    signal = null
+}) => {
+    const numVars = objective.length;
+    const numRows = constraints.length;
+
+    // Count extra columns: one slack/surplus per inequality, one artificial per >= or = row.
+    let numSlack = 0;
+    let numArtificial = 0;
+    const rows = constraints.map(constraint => {
+        let type = constraint.type || '<=';
+        let sign = 1;
+        if (constraint.rhs < 0) {
+            // Keep every right-hand side non-negative so the starting basis is feasible.
+            sign = -1;
+            if (type === '<=') type = '>=';
+            else if (type === '>=') type = '<=';
+        }
+        if (type !== '=') numSlack++;
+        if (type !== '<=') numArtificial++;
+        return { terms: constraint.terms, rhs: constraint.rhs * sign, sign, type };
+    });
+
+    const numCols = numVars + numSlack + numArtificial;
+    const rhsCol = numCols;
+    const tableauEntries = numRows * (numCols + 1);
+    if (tableauEntries > maxTableauEntries) {
+        const megabytes = (entries) => Math.round(entries * 8 / 1e6);
+        const error = new Error(`Linear program too large for the dense simplex solver: ${numRows} rows x ${numCols} columns ` +
+            `need ${tableauEntries} tableau entries (about ${megabytes(tableauEntries)} MB), above the limit of ` +
+            `${maxTableauEntries} (about ${megabytes(maxTableauEntries)} MB). Use shorter periods.`);
+        error.name = 'LinearProgramSizeError';
+        throw error;
+    }
+    const tableau = Array.from({ length: numRows }, () => new Float64Array(numCols + 1));
+    const upper = new Float64Array(numCols).fill(Infinity);
+    const isArtificial = new Uint8Array(numCols);
+    const flipped = new Uint8Array(numCols);
+    const basis = new Int32Array(numRows);
+
+    for (let j = 0; j < numVars; j++) {
+        const u = upperBounds[j];
+        upper[j] = u === undefined || u === null ? Infinity : u;
+        if (upper[j] < 0) {
+            return { status: 'infeasible', x: null, objectiveValue: null, iterations: 0 };
+        }
+    }
+
+    let slackCol = numVars;
+    let artificialCol = numVars + numSlack;
+    rows.forEach((row, i) => {
+        const tableauRow = tableau[i];
+        for (const [index, value] of row.terms) {
+            tableauRow[index] += value * row.sign;
+        }
+        tableauRow[rhsCol] = row.rhs;
+
+        if (row.type === '<=') {
+            tableauRow[slackCol] = 1;
+            basis[i] = slackCol++;
+        } else {
+            if (row.type === '>=') {
+                tableauRow[slackCol++] = -1;
+            }
+            tableauRow[artificialCol] = 1;
+            isArtificial[artificialCol] = 1;
+            basis[i] = artificialCol++;
+        }
+    });
+
+    const isBasic = new Uint8Array(numCols);
+    for (let i = 0; i < numRows; i++) isBasic[basis[i]] = 1;
+
+    // Reduced-cost row for the given cost vector, accounting for complemented variables.
+    // objRow[j] holds the reduced cost, objRow[rhsCol] holds minus the current objective value.
+    const buildObjectiveRow = (costs) => {
+        const objRow = new Float64Array(numCols + 1);
+        let constant = 0;
+        for (let j = 0; j < numCols; j++) {
+            const c = costs[j] || 0;
+            if (flipped[j]) {
+                constant += c * upper[j];
+                objRow[j] = -c;
+            } else {
+                objRow[j] = c;
+            }
+        }
+        let value = constant;
+        for (let i = 0; i < numRows; i++) {
+            const b = basis[i];
+            const cb = objRow[b];
+            if (cb === 0) continue;
+            const tableauRow = tableau[i];
+            for (let j = 0; j <= numCols; j++) {
+                if (j !== rhsCol) objRow[j] -= cb * tableauRow[j];
+            }
+            value += cb * tableauRow[rhsCol];
+        }
+        for (let i = 0; i < numRows; i++) objRow[basis[i]] = 0;
+        objRow[rhsCol] = -value;
+        return objRow;
+    };
+
+    // Replace column j by its complement x' = u - x (for a nonbasic variable).
+    const complementColumn = (j, objRow) => {
+        const u = upper[j];
+        for (let i = 0; i < numRows; i++) {
+            const a = tableau[i][j];
+            if (a !== 0) {
+                tableau[i][rhsCol] -= a * u;
+                tableau[i][j] = -a;
+            }
+        }
+        objRow[rhsCol] -= objRow[j] * u;
+        objRow[j] = -objRow[j];
+        flipped[j] ^= 1;
+    };
+
+    // Complement the basic variable of row r before it leaves at its upper bound.
+    const complementBasicRow = (r) => {
+        const tableauRow = tableau[r];
+        const b = basis[r];
+        for (let j = 0; j < numCols; j++) {
+            if (j !== b && tableauRow[j] !== 0) tableauRow[j] = -tableauRow[j];
+        }
+        tableauRow[rhsCol] = upper[b] - tableauRow[rhsCol];
+        flipped[b] ^= 1;
+    };
+
+    const pivot = (r, j, objRow) => {
+        const pivotRow = tableau[r];
+        const pivotValue = pivotRow[j];
+        for (let k = 0; k <= numCols; k++) {
+            if (pivotRow[k] !== 0) pivotRow[k] /= pivotValue;
+        }
+        // Collect the non-zero pattern of the pivot row once; the battery models are sparse.
+        const nonZero = [];
+        for (let k = 0; k <= numCols; k++) {
+            if (pivotRow[k] !== 0) nonZero.push(k);
+        }
+        for (let i = 0; i < numRows; i++) {
+            if (i === r) continue;
+            const row = tableau[i];
+            const factor = row[j];
+            if (factor === 0) continue;
+            for (const k of nonZero) row[k] -= factor * pivotRow[k];
+            row[j] = 0;
+        }
+        const objFactor = objRow[j];
+        if (objFactor !== 0) {
+            for (const k of nonZero) objRow[k] -= objFactor * pivotRow[k];
+            objRow[j] = 0;
+        }
+        isBasic[basis[r]] = 0;
+        basis[r] = j;
+        isBasic[j] = 1;
+    };
+
+    let iterations = 0;
+
+    const runPhase = (objRow, allowArtificial) => {
+        let degenerateSteps = 0;
+        while (iterations < maxIterations) {
+            if (signal && signal.aborted) {
+                const error = new Error('Linear program solve cancelled');
+                error.name = 'AbortError';
+                throw error;
+            }
+
+            // Dantzig's rule, falling back to Bland's rule on long degenerate stretches to avoid cycling.
+            const useBland = degenerateSteps > 50;
+            let entering = -1;
+            let bestReducedCost = tolerance;
+            for (let j = 0; j < numCols; j++) {
+                if (isBasic[j] || upper[j] === 0) continue;
+                if (!allowArtificial && isArtificial[j]) continue;
+                if (objRow[j] > bestReducedCost) {
+                    entering = j;
+                    if (useBland) break;
+                    bestReducedCost = objRow[j];
+                }
+            }
+            if (entering === -1) return 'optimal';
+
+            // Ratio test: basic variables may hit zero or their upper bound,
+            // and the entering variable may hit its own upper bound.
+            let theta = upper[entering];
+            let leavingRow = -1;
+            let leavesAtUpper = false;
+            for (let i = 0; i < numRows; i++) {
+                const a = tableau[i][entering];
+                const value = tableau[i][rhsCol];
+                let ratio;
+                let atUpper = false;
+                if (a > tolerance) {
+                    ratio = Math.max(0, value) / a;
+                } else if (a < -tolerance && upper[basis[i]] !== Infinity) {
+                    ratio = Math.max(0, upper[basis[i]] - value) / -a;
+                    atUpper = true;
+                } else {
+                    continue;
+                }
+                if (ratio < theta - tolerance ||
+                    (ratio <= theta + tolerance && leavingRow !== -1 && basis[i] < basis[leavingRow])) {
+                    theta = ratio;
+                    leavingRow = i;
+                    leavesAtUpper = atUpper;
+                }
+            }
+
+            if (theta === Infinity) return 'unbounded';
+            degenerateSteps = theta <= tolerance ? degenerateSteps + 1 : 0;
+            iterations++;
+
+            if (leavingRow === -1) {
+                // Bound flip: the entering variable reaches its upper bound without a basis change.
+                complementColumn(entering, objRow);
+                continue;
+            }
+
+            if (leavesAtUpper) complementBasicRow(leavingRow);
+            pivot(leavingRow, entering, objRow);
+        }
+        return 'iteration_limit';
+    };
+
+    // Phase 1: minimize the sum of artificial variables.
+    if (numArtificial > 0) {
+        const phaseOneCosts = new Float64Array(numCols);
+        for (let j = 0; j < numCols; j++) if (isArtificial[j]) phaseOneCosts[j] = -1;
+        const phaseOneRow = buildObjectiveRow(phaseOneCosts);
+        const phaseOneStatus = runPhase(phaseOneRow, true);
+        if (phaseOneStatus === 'iteration_limit') {
+            return { status: phaseOneStatus, x: null, objectiveValue: null, iterations };
+        }
+        if (phaseOneRow[rhsCol] > 1e-7 * Math.max(1, numRows)) {
+            return { status: 'infeasible', x: null, objectiveValue: null, iterations };
+        }
+        // Artificial variables stay pinned at zero for the rest of the solve.
+        for (let j = 0; j < numCols; j++) if (isArtificial[j]) upper[j] = 0;
+    }
+
+    // Phase 2: optimize the real objective from the feasible basis.
+    const phaseTwoRow = buildObjectiveRow(objective);
+    const status = runPhase(phaseTwoRow, false);
+    if (status !== 'optimal') {
+        return { status, x: null, objectiveValue: null, iterations };
+    }
+
+    const values = new Float64Array(numCols);
+    for (let i = 0; i < numRows; i++) values[basis[i]] = tableau[i][rhsCol];
+    const x = Array(numVars);
+    let objectiveValue = 0;
+    for (let j = 0; j < numVars; j++) {
+        let value = flipped[j] ? upper[j] - values[j] : values[j];
+        // Clean up round-off so callers see exact bounds.
+        if (Math.abs(value) < tolerance) value = 0;
+        if (upper[j] !== Infinity && Math.abs(value - upper[j]) < tolerance) value = upper[j];
+        x[j] = value;
+        objectiveValue += objective[j] * value;
+    }
+
+    return { status: 'optimal', x, objectiveValue, iterations };
+};
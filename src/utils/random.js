@@ -0,0 +1,18 @@
+// Path: src/utils/random.js
+
+// Seedable pseudo-random number generator (mulberry32).
+// Returns a function with the same contract as Math.random: a float in [0, 1).
+// The same seed always produces the same sequence, so optimization runs can be reproduced exactly.
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Draws a fresh 32-bit seed for runs where the caller did not supply one, so the seed can still be recorded.
+export const generateSeed = () => Math.floor(Math.random() * 4294967296);
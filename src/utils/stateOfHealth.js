@@ -0,0 +1,74 @@
+// Path: src/utils/stateOfHealth.js
+
+// Battery state-of-health (SoH) model for multi-period backtests.
+// SoH is the usable capacity as a share of the nameplate usable range (socMax - socMin). It fades with
+//   - cycling: every rainflow cycle removes (1 - endOfLifeSoH) / cycleLife * (depth of discharge)^depthExponent,
+//     so cycleLife full-depth cycles take a new battery to endOfLifeSoH; with exponent 1 this is proportional
+//     to the energy throughput, larger exponents make deep cycles relatively more damaging
+//   - calendar age: calendarFadePerYear of the nameplate capacity per year, cycled or not
+//   - energy throughput (optional): every MWh discharged from storage removes (1 - endOfLifeSoH) / ratedThroughput,
+//     so ratedThroughput MWh take a new battery to endOfLifeSoH, as in warranties with an energy-throughput limit;
+//     null leaves it out.
+// The fade mechanisms add up; SoH never drops below zero.
+
+const HOURS_PER_YEAR = 8760;
+
+export const DEFAULT_AGING_MODEL = {
+    cycleLife: 6000,
+    endOfLifeSoH: 0.8,
+    depthExponent: 1,
+    calendarFadePerYear: 0.01,
+    ratedThroughput: null
+};
+
+// Health of a new battery.
+export const createHealthState = () => ({
+    stateOfHealth: 1,
+    cycleFade: 0,
+    calendarFade: 0,
+    throughputFade: 0,
+    equivalentFullCycles: 0,
+    throughput: 0,
+    ageYears: 0
+});
+
+// Battery parameters with the usable range shrunk to the current SoH; socMax moves down towards socMin.
+export const applyStateOfHealth = (params, stateOfHealth) => ({
+    ...params,
+    socMax: params.socMin + (params.socMax - params.socMin) * stateOfHealth
+});
+
+// Returns the health state after one period. `usage` describes the period as operated:
+// cycleDepths (rainflow cycles { depth, count } in MWh), usableCapacity (MWh the period ran with),
+// throughput (MWh discharged from storage) and hours (calendar hours the period covers).
+export const advanceHealthState = (health, usage, model = DEFAULT_AGING_MODEL) => {
+    const { cycleLife, endOfLifeSoH, depthExponent, calendarFadePerYear, ratedThroughput } = { ...DEFAULT_AGING_MODEL, ...model };
+    const { cycleDepths = [], usableCapacity, throughput = 0, hours = 0 } = usage;
+
+    let cycleStress = 0;
+    let equivalentFullCycles = 0;
+    if (usableCapacity > 0) {
+        for (const cycle of cycleDepths) {
+            const depthOfDischarge = Math.min(1, cycle.depth / usableCapacity);
+            cycleStress += cycle.count * Math.pow(depthOfDischarge, depthExponent);
+            equivalentFullCycles += cycle.count * depthOfDischarge;
+        }
+    }
+
+    const ageYears = health.ageYears + hours / HOURS_PER_YEAR;
+    const cycleFade = health.cycleFade + cycleStress * (1 - endOfLifeSoH) / cycleLife;
+    const calendarFade = ageYears * calendarFadePerYear;
+    const throughputFade = ratedThroughput > 0
+        ? health.throughputFade + throughput * (1 - endOfLifeSoH) / ratedThroughput
+        : health.throughputFade;
+
+    return {
+        stateOfHealth: Math.max(0, 1 - cycleFade - calendarFade - throughputFade),
+        cycleFade,
+        calendarFade,
+        throughputFade,
+        equivalentFullCycles: health.equivalentFullCycles + equivalentFullCycles,
+        throughput: health.throughput + throughput,
+        ageYears
+    };
+};
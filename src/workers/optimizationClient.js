@@ -0,0 +1,115 @@
+// Path: src/workers/optimizationClient.js
+
+// Main-thread side of the optimization worker protocol (see optimizationWorker.js).
+// A single worker is created lazily and shared; requests are matched to responses by id.
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// A cancelled request gets this long to stop before the worker is terminated. Termination is the only way to
+// interrupt a long, synchronous optimization that does not check the cancel flag.
+const CANCEL_GRACE_MS = 1500;
+
+// Flag shared with the worker so a linear program in progress sees the cancel (see optimizationWorker.js).
+// SharedArrayBuffer needs a cross-origin isolated page; elsewhere there is no flag.
+const createCancelFlag = () => (globalThis.crossOriginIsolated && typeof SharedArrayBuffer !== 'undefined'
+    ? new Int32Array(new SharedArrayBuffer(4))
+    : null);
+
+const createAbortError = () => {
+    const error = new Error('Optimization cancelled');
+    error.name = 'AbortError';
+    return error;
+};
+
+// Terminates the worker and rejects everything in flight; the next request starts a fresh worker.
+const resetWorker = (error) => {
+    pendingRequests.forEach(request => request.reject(error));
+    pendingRequests.clear();
+    if (worker) worker.terminate();
+    worker = null;
+};
+
+const getWorker = () => {
+    if (worker) return worker;
+
+    worker = new Worker(new URL('./optimizationWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+        const { id, type } = event.data;
+        const request = pendingRequests.get(id);
+        if (!request) return;
+
+        switch (type) {
+            case 'progress':
+                request.onProgress(event.data);
+                break;
+            case 'generation':
+                request.onGeneration(event.data);
+                break;
+            case 'periodResult':
+                request.onPeriodResult(event.data.result);
+                break;
+            case 'result':
+                pendingRequests.delete(id);
+                request.resolve(event.data.result);
+                break;
+            case 'error': {
+                pendingRequests.delete(id);
+                const error = new Error(event.data.error);
+                if (event.data.name) error.name = event.data.name;
+                request.reject(error);
+                break;
+            }
+            default:
+                console.warn(`Unknown worker message type: ${type}`);
+        }
+    };
+
+    // An uncaught worker error fails every request in flight.
+    worker.onerror = (event) => {
+        event.preventDefault();
+        resetWorker(new Error(event.message || 'Optimization worker failed'));
+    };
+
+    return worker;
+};
+
+// Sends a request to the worker. Resolves with the 'result' payload and rejects on 'error'.
+// onProgress receives { completed, total, period }; onPeriodResult receives each finished backtest period;
+// onGeneration receives { period, generation, bestScore } from differential evolution.
+// Aborting `signal` asks the worker to stop a backtest after the current period (it then resolves with
+// cancelled: true) and, on cross-origin isolated pages, stops a linear program in progress (an optimization then
+// rejects with an AbortError). Other optimizations run synchronously and never see the cancel, so if the worker
+// has not answered within CANCEL_GRACE_MS it is terminated and the request rejects with an AbortError.
+export const runInWorker = (type, payload, {
+    onProgress = () => {},
+    onPeriodResult = () => {},
+    onGeneration = () => {},
+    signal = null
+} = {}) => {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const id = nextRequestId++;
+        const target = getWorker();
+        const cancelFlag = signal ? createCancelFlag() : null;
+        pendingRequests.set(id, { resolve, reject, onProgress, onPeriodResult, onGeneration });
+        target.postMessage({ id, type, payload, cancelFlag });
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                if (!pendingRequests.has(id) || worker !== target) return;
+                if (cancelFlag) Atomics.store(cancelFlag, 0, 1);
+                target.postMessage({ id, type: 'cancel' });
+                setTimeout(() => {
+                    if (pendingRequests.has(id) && worker === target) resetWorker(createAbortError());
+                }, CANCEL_GRACE_MS);
+            }, { once: true });
+        }
+    });
+};
@@ -0,0 +1,117 @@
+// Path: src/workers/optimizationWorker.js
+
+// Runs BatteryOptimizer off the main thread so long optimizations and backtests keep the UI responsive.
+//
+// Requests:  { id, type: 'optimize', payload: { prices, params, categorizationMethod, categorizationOptions,
+//                                               optimizationMethod, optimizationOptions } }
+//            { id, type: 'fleet', payload: { prices, fleet, categorizationMethod, categorizationOptions,
+//                                            optimizationMethod, optimizationOptions } }
+//            { id, type: 'stochastic', payload: { scenarios, weights, params, categorizationMethod,
+//                                                 categorizationOptions, optimizationOptions } }
+//            { id, type: 'backtest', payload: { groups, groupKeys, params, categorizationMethod,
+//                                               categorizationOptions, optimizationMethod, optimizationOptions,
+//                                               chainSoC, captureRate, agingModel, walkForward } }
+//            { id, type: 'cancel' }   stops the backtest with that id after the period in progress; a single
+//                                     optimization is synchronous and never sees it, so the client terminates
+//                                     the worker instead (see optimizationClient.js)
+//            Every request may carry cancelFlag, an Int32Array on a SharedArrayBuffer (cross-origin isolated pages
+//            only) that the client sets to 1 to cancel; linear programs check it between pivots and stop at once.
+// Responses: { id, type: 'progress', completed, total, period }   one per finished backtest period
+//            { id, type: 'generation', period, generation, bestScore }  differential evolution progress (throttled)
+//            { id, type: 'periodResult', result }                 one per successfully optimized period
+//            { id, type: 'result', result }                       optimize(), optimizeFleet() or
+//                                                                 optimizeStochastic() result, or backtest
+//                                                                 { completed, total, cancelled }
+//            { id, type: 'error', error, name }                   error message and name; ends the request
+
+import BatteryOptimizer from '../utils/BatteryOptimizerClass.js';
+import { runBacktestPeriods } from '../utils/backtestRunner.js';
+
+const optimizer = new BatteryOptimizer();
+
+// Abort controllers of the requests in progress, by request id.
+const controllers = new Map();
+
+// Generation updates arrive many times per second; forward at most one per interval.
+const GENERATION_UPDATE_INTERVAL_MS = 250;
+
+// Cancellation of one request: its abort controller (aborted by a cancel message, which is only handled while the
+// optimizer yields) or the shared cancel flag, which the optimizer sees while it runs.
+const createCancelSignal = (controller, cancelFlag) => ({
+    get aborted() {
+        return controller.signal.aborted || (cancelFlag !== null && Atomics.load(cancelFlag, 0) === 1);
+    }
+});
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    if (type === 'cancel') {
+        const controller = controllers.get(id);
+        if (controller) controller.abort();
+        return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    const signal = createCancelSignal(controller, event.data.cancelFlag || null);
+    let lastGenerationUpdate = 0;
+    const onGeneration = (update) => {
+        const now = Date.now();
+        if (now - lastGenerationUpdate < GENERATION_UPDATE_INTERVAL_MS) return;
+        lastGenerationUpdate = now;
+        self.postMessage({ id, type: 'generation', ...update });
+    };
+
+    try {
+        switch (type) {
+            case 'optimize': {
+                const { prices, params, categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions } = payload;
+                const result = optimizer.optimize(prices, params, categorizationMethod, categorizationOptions, optimizationMethod, {
+                    ...optimizationOptions,
+                    signal,
+                    onProgress: (generation, bestScore) => onGeneration({ generation, bestScore })
+                });
+                self.postMessage({ id, type: 'result', result });
+                break;
+            }
+            case 'fleet': {
+                const { prices, fleet, categorizationMethod, categorizationOptions, optimizationMethod, optimizationOptions } = payload;
+                const result = optimizer.optimizeFleet(prices, fleet, categorizationMethod, categorizationOptions, optimizationMethod, {
+                    ...optimizationOptions,
+                    signal,
+                    onProgress: (generation, bestScore) => onGeneration({ generation, bestScore })
+                });
+                self.postMessage({ id, type: 'result', result });
+                break;
+            }
+            case 'stochastic': {
+                const { scenarios, weights, params, categorizationMethod, categorizationOptions, optimizationOptions } = payload;
+                const result = optimizer.optimizeStochastic(scenarios, weights, params, categorizationMethod, categorizationOptions, { ...optimizationOptions, signal });
+                self.postMessage({ id, type: 'result', result });
+                break;
+            }
+            case 'backtest': {
+                const { groups, groupKeys, ...config } = payload;
+                const results = await runBacktestPeriods(optimizer, groups, groupKeys, config, {
+                    onPeriodResult: (result) => self.postMessage({ id, type: 'periodResult', result }),
+                    onProgress: (progress) => self.postMessage({ id, type: 'progress', ...progress }),
+                    onGeneration,
+                    signal
+                });
+                self.postMessage({
+                    id,
+                    type: 'result',
+                    result: { completed: results.length, total: groupKeys.length, cancelled: signal.aborted }
+                });
+                break;
+            }
+            default:
+                throw new Error(`Unknown worker request type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message, name: error.name });
+    } finally {
+        controllers.delete(id);
+    }
+};
@@ -14,8 +14,19 @@ export default defineConfig({
       }
     }
   },
+  // Cross-origin isolation lets the optimization worker share a cancel flag with the page (SharedArrayBuffer)
   server: {
     port: 3000,
-    host: true
+    host: true,
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp'
+    }
+  },
+  preview: {
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp'
+    }
   }
 })